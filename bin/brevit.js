@@ -0,0 +1,438 @@
+#!/usr/bin/env node
+/*
+ * =================================================================================
+ * BREVIT CLI
+ *
+ * Command-line interface for previewing and producing Brevit output.
+ *
+ *   brevit optimize [files...] [options]   Optimize with the configured mode
+ *   brevit brevity  [files...] [options]   Optimize with automatic strategy selection
+ *   brevit decode   [files...] [options]   Decode Brevit flattened output to JSON
+ *   brevit stats    [files...] [options]   Compare sizes of every JSON mode
+ *
+ * Exit codes: 0 success, 1 processing error, 2 invalid usage, 3 no input found.
+ * =================================================================================
+ */
+
+import { readFile, writeFile, readdir, stat } from 'node:fs/promises';
+import { createReadStream, realpathSync } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { BrevitClient, BrevitConfig, EncodingMode, JsonOptimizationMode, decode } from '../src/brevit.js';
+
+export const ExitCode = {
+  Success: 0,
+  ProcessingError: 1,
+  UsageError: 2,
+  NoInput: 3,
+};
+
+const MODES = {
+  none: JsonOptimizationMode.None,
+  flatten: JsonOptimizationMode.Flatten,
+  yaml: JsonOptimizationMode.ToYaml,
+  filter: JsonOptimizationMode.Filter,
+};
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.tif', '.tiff']);
+const NDJSON_EXTENSIONS = new Set(['.ndjson', '.jsonl']);
+
+const HELP = `Usage: brevit <command> [files...] [options]
+
+Commands:
+  optimize   Optimize JSON, text or images with the configured mode (default)
+  brevity    Optimize with automatic strategy selection
+  decode     Decode Brevit flattened output back to JSON
+  stats      Compare characters, tokens and savings of every JSON mode
+
+Files may be glob patterns ("data/**/*.json"). With no files, or "-", stdin is read.
+NDJSON files (.ndjson, .jsonl) are encoded as a stream.
+
+Options:
+  -o, --output <file>      Write output to a file instead of stdout
+  -m, --mode <mode>        JSON mode: flatten, yaml, filter or none
+  -p, --paths <paths>      Comma-separated paths to keep (filter mode)
+      --drop <paths>       Comma-separated paths to drop (filter mode)
+  -t, --threshold <n>      Long text threshold in characters
+      --max-tokens <n>     Output budget in tokens
+      --max-chars <n>      Output budget in characters
+      --no-abbreviations   Disable @x=prefix abbreviations
+      --strict             Quote ambiguous keys and values (lossless decode)
+  -s, --schema <file>      Read a JSON Schema or field schema from a JSON file
+  -c, --config <file>      Read BrevitConfig options from a JSON file
+  -i, --intent <text>      Intent hint passed to the optimizers
+      --json               Print stats as JSON
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Exit codes: 0 success, 1 processing error, 2 invalid usage, 3 no input found.`;
+
+/**
+ * Error raised for invalid command-line usage (exit code 2).
+ */
+class UsageError extends Error {}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - Arguments after the executable and script name
+ * @param {Object} [io] - Streams, replaceable for tests
+ * @returns {Promise<number>} The exit code
+ */
+export async function main(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        mode: { type: 'string', short: 'm' },
+        paths: { type: 'string', short: 'p' },
+        drop: { type: 'string' },
+        threshold: { type: 'string', short: 't' },
+        'max-tokens': { type: 'string' },
+        'max-chars': { type: 'string' },
+        'no-abbreviations': { type: 'boolean' },
+        strict: { type: 'boolean' },
+        schema: { type: 'string', short: 's' },
+        config: { type: 'string', short: 'c' },
+        intent: { type: 'string', short: 'i' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        version: { type: 'boolean', short: 'v' },
+      },
+    });
+  } catch (error) {
+    io.stderr.write(`brevit: ${error.message}\nRun "brevit --help" for usage.\n`);
+    return ExitCode.UsageError;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    io.stdout.write(`${HELP}\n`);
+    return ExitCode.Success;
+  }
+  if (values.version) {
+    const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    io.stdout.write(`${pkg.version}\n`);
+    return ExitCode.Success;
+  }
+
+  const commands = ['optimize', 'brevity', 'decode', 'stats'];
+  const command = commands.includes(positionals[0]) ? positionals[0] : 'optimize';
+  const patterns = commands.includes(positionals[0]) ? positionals.slice(1) : positionals;
+
+  try {
+    const config = await buildConfig(values);
+    const files = await resolveInputs(patterns);
+    if (files.length === 0) {
+      io.stderr.write(`brevit: no files match ${patterns.map(pattern => `"${pattern}"`).join(', ')}\n`);
+      return ExitCode.NoInput;
+    }
+    if (files.includes('-') && io.stdin.isTTY) {
+      throw new UsageError('no input files given and nothing piped to stdin');
+    }
+
+    const client = new BrevitClient(new BrevitConfig(config));
+    const results = [];
+    for (const file of files) {
+      const output = await runCommand(command, client, file, values, io);
+      results.push(files.length > 1 ? `# ${file === '-' ? 'stdin' : file}\n${output}` : output);
+    }
+
+    const text = `${results.join('\n\n')}\n`;
+    if (values.output) {
+      await writeFile(values.output, text);
+    } else {
+      io.stdout.write(text);
+    }
+    return ExitCode.Success;
+  } catch (error) {
+    io.stderr.write(`brevit: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      io.stderr.write('Run "brevit --help" for usage.\n');
+      return ExitCode.UsageError;
+    }
+    return error.code === 'ENOENT' ? ExitCode.NoInput : ExitCode.ProcessingError;
+  }
+}
+
+/**
+ * Builds BrevitConfig options from --config and the command-line flags
+ * (flags win over the config file).
+ * @param {Object} values - Parsed option values
+ * @returns {Promise<Object>} BrevitConfig options
+ */
+async function buildConfig(values) {
+  let config = {};
+  if (values.config) {
+    try {
+      config = JSON.parse(await readFile(values.config, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`cannot read config file "${values.config}": ${error.message}`);
+    }
+  }
+
+  if (values.schema) {
+    try {
+      config.schema = JSON.parse(await readFile(values.schema, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`cannot read schema file "${values.schema}": ${error.message}`);
+    }
+  }
+
+  if (values.mode !== undefined) {
+    const mode = MODES[values.mode.toLowerCase()];
+    if (!mode) {
+      throw new UsageError(`unknown mode "${values.mode}" (expected ${Object.keys(MODES).join(', ')})`);
+    }
+    config.jsonMode = mode;
+  }
+  if (values.paths !== undefined) {
+    config.jsonPathsToKeep = splitList(values.paths);
+    if (values.mode === undefined) config.jsonMode = JsonOptimizationMode.Filter;
+  }
+  if (values.drop !== undefined) {
+    config.jsonPathsToDrop = splitList(values.drop);
+    if (values.mode === undefined) config.jsonMode = JsonOptimizationMode.Filter;
+  }
+  if (values.threshold !== undefined) config.longTextThreshold = parseCount(values.threshold, '--threshold');
+  if (values['max-tokens'] !== undefined) config.maxTokens = parseCount(values['max-tokens'], '--max-tokens');
+  if (values['max-chars'] !== undefined) config.maxChars = parseCount(values['max-chars'], '--max-chars');
+  if (values['no-abbreviations']) config.enableAbbreviations = false;
+  if (values.strict) config.encodingMode = EncodingMode.Strict;
+
+  return config;
+}
+
+/**
+ * Runs one command on one input.
+ * @param {string} command - The command name
+ * @param {BrevitClient} client - The configured client
+ * @param {string} file - Input path, or "-" for stdin
+ * @param {Object} values - Parsed option values
+ * @param {Object} io - Streams
+ * @returns {Promise<string>} The command output
+ */
+async function runCommand(command, client, file, values, io) {
+  const extension = path.extname(file).toLowerCase();
+  const intent = values.intent ?? null;
+
+  if (command === 'optimize' && NDJSON_EXTENSIONS.has(extension)) {
+    let output = '';
+    for await (const chunk of client.optimizeStream(createReadStream(file))) {
+      output += chunk;
+    }
+    return output.trimEnd();
+  }
+
+  const input = IMAGE_EXTENSIONS.has(extension)
+    ? await readFile(file)
+    : await readText(file, io.stdin);
+
+  switch (command) {
+    case 'brevity':
+      return await client.brevity(input, intent);
+
+    case 'decode':
+      return JSON.stringify(decode(String(input)), null, 2);
+
+    case 'stats': {
+      const { results, best } = await client.compare(input);
+      if (values.json) {
+        return JSON.stringify({
+          results: results.map(({ output, ...result }) => result),
+          best: best.name,
+        }, null, 2);
+      }
+      return formatStats(results, best);
+    }
+
+    case 'optimize':
+    default:
+      return await client.optimize(input, intent);
+  }
+}
+
+/**
+ * Formats compare() results as an aligned table.
+ * @param {Array<Object>} results - Per-mode results
+ * @param {Object} best - The smallest result
+ * @returns {string} The table
+ */
+function formatStats(results, best) {
+  const rows = [['Mode', 'Tokens', 'Characters', 'Savings']];
+  results.forEach(result => {
+    rows.push([result.name, String(result.tokens), String(result.characters), `${result.savings}%`]);
+  });
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const lines = rows.map(row =>
+    row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ')
+  );
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+  lines.push('', `Best: ${best.name}`);
+  return lines.join('\n');
+}
+
+/**
+ * Reads a file (or stdin for "-") as UTF-8 text.
+ * @param {string} file - Input path or "-"
+ * @param {NodeJS.ReadableStream} stdin - Standard input
+ * @returns {Promise<string>} The text
+ */
+async function readText(file, stdin) {
+  if (file !== '-') {
+    return readFile(file, 'utf8');
+  }
+  let text = '';
+  stdin.setEncoding('utf8');
+  for await (const chunk of stdin) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Expands input patterns to file paths. No patterns means stdin ("-").
+ * @param {string[]} patterns - File paths or glob patterns
+ * @returns {Promise<string[]>} Matching files, in pattern order
+ */
+async function resolveInputs(patterns) {
+  if (patterns.length === 0) return ['-'];
+
+  const files = [];
+  for (const pattern of patterns) {
+    if (pattern === '-' || !/[*?[]/.test(pattern)) {
+      files.push(pattern);
+      continue;
+    }
+    (await expandGlob(pattern)).forEach(file => {
+      if (!files.includes(file)) files.push(file);
+    });
+  }
+  return files;
+}
+
+/**
+ * Expands a glob pattern (`*`, `?`, `[abc]` and `**` for any number of
+ * directories) to matching files, sorted.
+ * @param {string} pattern - The glob pattern
+ * @returns {Promise<string[]>} Matching file paths
+ */
+async function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(segment => /[*?[]/.test(segment));
+  const base = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+  const matches = [];
+
+  const walk = async (dir, index) => {
+    if (index === segments.length) return;
+    const segment = segments[index];
+    const isLast = index === segments.length - 1;
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+
+    if (segment === '**') {
+      // Zero directories, or descend one level and keep "**"
+      await walk(dir, index + 1);
+      for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+          await walk(path.join(dir, entry.name), index);
+        }
+      }
+      return;
+    }
+
+    const regex = globSegmentToRegExp(segment);
+    for (const entry of entries) {
+      if (!regex.test(entry.name) || (entry.name.startsWith('.') && !segment.startsWith('.'))) continue;
+      const fullPath = base === '.' && dir === '.' ? entry.name : path.join(dir, entry.name);
+      if (isLast) {
+        if (entry.isFile() || (entry.isSymbolicLink() && (await stat(fullPath)).isFile())) {
+          matches.push(fullPath);
+        }
+      } else if (entry.isDirectory()) {
+        await walk(fullPath, index + 1);
+      }
+    }
+  };
+
+  await walk(base, firstGlob);
+  return [...new Set(matches)].sort();
+}
+
+/**
+ * Converts one glob path segment to a regular expression.
+ * @param {string} segment - The segment, e.g. "*.json"
+ * @returns {RegExp} The matcher
+ */
+function globSegmentToRegExp(segment) {
+  let source = '';
+  for (let i = 0; i < segment.length; i++) {
+    const ch = segment[i];
+    if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const close = segment.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${segment.substring(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else {
+      source += ch.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Splits a comma-separated option value.
+ * @param {string} value - The option value
+ * @returns {string[]} Non-empty trimmed items
+ */
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a positive integer option.
+ * @param {string} value - The option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number} The number
+ */
+function parseCount(value, name) {
+  if (!/^\d+$/.test(value) || Number(value) === 0) {
+    throw new UsageError(`${name} expects a positive integer, got "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Checks whether this file is the script Node was started with. Symlinks
+ * are resolved, since npm runs the CLI through node_modules/.bin/brevit.
+ * @returns {boolean} True when run directly
+ */
+function isMainModule() {
+  if (!process.argv[1]) return false;
+  try {
+    return realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Run when executed directly (not when imported by tests)
+if (isMainModule()) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -33,6 +33,37 @@ export const ImageOptimizationMode: {
   readonly Metadata: 'Metadata';
 };
 
+/**
+ * Encoding modes for keys and values in flattened output
+ */
+export const EncodingMode: {
+  readonly Compact: 'Compact';
+  readonly Strict: 'Strict';
+};
+
+/**
+ * Names of the built-in strategies used by `brevity()`
+ */
+export const BrevityStrategy: {
+  readonly Flatten: 'Flatten';
+  readonly ToYaml: 'ToYaml';
+  readonly TextOptimization: 'TextOptimization';
+  readonly ImageOptimization: 'ImageOptimization';
+};
+
+/**
+ * Kinds of sensitive values detected by the `redact` option; each names
+ * its placeholders (`<EMAIL_1>`, `<CREDIT_CARD_1>`, ...)
+ */
+export const RedactionType: {
+  readonly Email: 'EMAIL';
+  readonly Phone: 'PHONE';
+  readonly CreditCard: 'CREDIT_CARD';
+  readonly Iban: 'IBAN';
+  readonly ApiKey: 'API_KEY';
+  readonly Jwt: 'JWT';
+};
+
 /**
  * Type for JSON optimization mode values
  */
@@ -48,6 +79,100 @@ export type TextOptimizationModeType = typeof TextOptimizationMode[keyof typeof
  */
 export type ImageOptimizationModeType = typeof ImageOptimizationMode[keyof typeof ImageOptimizationMode];
 
+/**
+ * Type for encoding mode values
+ */
+export type EncodingModeType = typeof EncodingMode[keyof typeof EncodingMode];
+
+/**
+ * Type for redaction type values
+ */
+export type RedactionTypeValue = typeof RedactionType[keyof typeof RedactionType];
+
+/**
+ * Rules for the `redact` option
+ */
+export interface RedactOptions {
+  /**
+   * Built-in detectors to run
+   * @default all RedactionType values
+   */
+  types?: RedactionTypeValue[];
+
+  /**
+   * Custom detectors, `{ name: pattern }`; matches become `<NAME_1>`, ... (names are upper-cased)
+   * @default {}
+   */
+  patterns?: Record<string, RegExp | string>;
+
+  /**
+   * JSON paths whose values are never scanned (e.g. `'support.email'`)
+   * @default []
+   */
+  allowPaths?: string[];
+
+  /**
+   * JSON paths whose values are always redacted whole, e.g. `'customer.email'`;
+   * they win over allowPaths
+   * @default []
+   */
+  denyPaths?: string[];
+}
+
+/**
+ * A field type in a lightweight field schema: `'str'`, `'int'`, `'num'`,
+ * `'bool'`, a JSON Schema type name, `[itemSchema]` for arrays, a nested
+ * field schema, or a descriptor with a default and description
+ */
+export type FieldSchemaType =
+  | string
+  | FieldSchemaType[]
+  | FieldSchema
+  | { type: string; default?: unknown; description?: string };
+
+/**
+ * Lightweight schema mapping field names to types
+ */
+export interface FieldSchema {
+  [field: string]: FieldSchemaType;
+}
+
+/**
+ * A JSON Schema (the type, properties, items, default and description keywords are used)
+ */
+export interface JsonSchema {
+  $schema?: string;
+  type?: string | string[];
+  properties?: Record<string, JsonSchema>;
+  items?: JsonSchema | JsonSchema[];
+  default?: unknown;
+  description?: string;
+  [keyword: string]: unknown;
+}
+
+/**
+ * Per-call options for `optimize()`. Any `BrevitConfig` option (`jsonMode`,
+ * `textMode`, `enableAbbreviations`, `schema`, `maxTokens`, ...) overrides
+ * the client's config for this call only; the client is never modified.
+ */
+export interface OptimizeOptions extends BrevitConfigOptions {
+  /**
+   * Hint about the user's goal (when passed as `optimize(data, { intent })`)
+   */
+  intent?: string | null;
+
+  /**
+   * Cancels requests to `textBackend`/`imageBackend`
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Collects the placeholders made by the `redact` option, for `restore()`.
+   * Pass the same instance to every call of a conversation to keep them stable.
+   */
+  redactions?: Redactions;
+}
+
 /**
  * Configuration options for BrevitClient
  */
@@ -71,11 +196,19 @@ export interface BrevitConfigOptions {
   imageMode?: ImageOptimizationModeType;
 
   /**
-   * JSON property paths to keep when using Filter mode
+   * JSON paths to keep when using Filter mode. Supports dotted paths,
+   * `*` wildcards, `items[*].sku`, indexes (`items[-1]`), slices
+   * (`items[0:5]`), recursive descent (`..id`) and quoted keys (`['a.b']`)
    * @default []
    */
   jsonPathsToKeep?: string[];
 
+  /**
+   * JSON paths to remove when using Filter mode (applied after jsonPathsToKeep)
+   * @default []
+   */
+  jsonPathsToDrop?: string[];
+
   /**
    * Character count threshold to trigger text optimization
    * @default 500
@@ -93,6 +226,96 @@ export interface BrevitConfigOptions {
    * @default 2
    */
   abbreviationThreshold?: number;
+
+  /**
+   * Write repeated string values once in a `$n=value` legend and reference
+   * them as `$n` in cells and values (Flatten and Filter modes). A value is
+   * only referenced when that saves space. `decode()` expands the references.
+   * @default false
+   */
+  enableValueDictionary?: boolean;
+
+  /**
+   * Fixed abbreviations (`{ prefix: alias }`) used instead of planning them
+   * per call. Their definitions are left out of the output; send them once
+   * (see `formatDictionary()`).
+   * @default null
+   */
+  abbreviationDictionary?: AbbreviationDictionary | null;
+
+  /**
+   * Use the optional `js-yaml` package for ToYaml mode instead of the
+   * built-in emitter (falls back to the built-in emitter if not installed)
+   * @default false
+   */
+  useJsYaml?: boolean;
+
+  /**
+   * Maximum output size in tokens (counted with the client's tokenizer).
+   * Output that is too large is shrunk until it fits.
+   * @default null
+   */
+  maxTokens?: number | null;
+
+  /**
+   * Maximum output size in characters
+   * @default null
+   */
+  maxChars?: number | null;
+
+  /**
+   * JSON paths dropped first when the output exceeds maxTokens/maxChars
+   * @default []
+   */
+  lowPriorityPaths?: string[];
+
+  /**
+   * Compact quotes only values that would break the format; Strict also
+   * quotes ambiguous keys and values ("null", "42", "a.b") so decode() is lossless
+   * @default EncodingMode.Compact
+   */
+  encodingMode?: EncodingModeType;
+
+  /**
+   * Maximum share of empty cells (0-1) for a semi-uniform object array to
+   * use the tabular format instead of indexed paths
+   * @default 0.5
+   */
+  tabularSparsityThreshold?: number;
+
+  /**
+   * JSON Schema or field schema describing the data. Orders tabular columns,
+   * types headers (`items[2]{sku:str,qty:int}`), omits fields equal to their
+   * default and adds a `# path: description` legend
+   * @default null
+   */
+  schema?: JsonSchema | FieldSchema | null;
+
+  /**
+   * Target length of `SummarizeFast` summaries as a share of the text
+   * @default 0.3
+   */
+  summaryRatio?: number;
+
+  /**
+   * Token budget for `SummarizeFast` summaries (null = ratio only)
+   * @default null
+   */
+  summaryMaxTokens?: number | null;
+
+  /**
+   * Include the EXIF GPS position in `Metadata` image output
+   * @default true
+   */
+  includeGps?: boolean;
+
+  /**
+   * Replace emails, phone numbers, card numbers, IBANs, API keys, JWTs and
+   * custom patterns with placeholders before encoding (true = all built-in
+   * detectors; null = off). See `Redactions` and `restore()`.
+   * @default null
+   */
+  redact?: boolean | RedactOptions | null;
 }
 
 /**
@@ -119,6 +342,11 @@ export class BrevitConfig {
    */
   jsonPathsToKeep: string[];
 
+  /**
+   * JSON paths to drop for Filter mode
+   */
+  jsonPathsToDrop: string[];
+
   /**
    * Long text threshold
    */
@@ -134,6 +362,71 @@ export class BrevitConfig {
    */
   abbreviationThreshold: number;
 
+  /**
+   * Reference repeated string values through a `$n=value` legend
+   */
+  enableValueDictionary: boolean;
+
+  /**
+   * Fixed abbreviations used instead of per-call ones
+   */
+  abbreviationDictionary: AbbreviationDictionary | null;
+
+  /**
+   * Use js-yaml for ToYaml mode
+   */
+  useJsYaml: boolean;
+
+  /**
+   * Maximum output size in tokens
+   */
+  maxTokens: number | null;
+
+  /**
+   * Maximum output size in characters
+   */
+  maxChars: number | null;
+
+  /**
+   * Paths dropped first when over budget
+   */
+  lowPriorityPaths: string[];
+
+  /**
+   * Encoding mode for keys and values
+   */
+  encodingMode: EncodingModeType;
+
+  /**
+   * Maximum share of empty cells for tabular arrays
+   */
+  tabularSparsityThreshold: number;
+
+  /**
+   * Schema describing the data
+   */
+  schema: JsonSchema | FieldSchema | null;
+
+  /**
+   * Target summary length for SummarizeFast
+   */
+  summaryRatio: number;
+
+  /**
+   * Token budget for SummarizeFast
+   */
+  summaryMaxTokens: number | null;
+
+  /**
+   * Include GPS in Metadata image output
+   */
+  includeGps: boolean;
+
+  /**
+   * Redaction rules
+   */
+  redact: boolean | RedactOptions | null;
+
   /**
    * Creates a new BrevitConfig instance
    * @param options Configuration options
@@ -147,7 +440,11 @@ export class BrevitConfig {
  * @param intent Optional hint about the user's goal
  * @returns Promise resolving to optimized text
  */
-export type TextOptimizerFunction = (longText: string, intent?: string | null) => Promise<string>;
+export type TextOptimizerFunction = (
+  longText: string,
+  intent?: string | null,
+  options?: OptimizerCallOptions
+) => Promise<string>;
 
 /**
  * Custom image optimizer function signature
@@ -157,7 +454,97 @@ export type TextOptimizerFunction = (longText: string, intent?: string | null) =
  */
 export type ImageOptimizerFunction = (
   imageData: ArrayBuffer | Uint8Array | Buffer,
-  intent?: string | null
+  intent?: string | null,
+  options?: OptimizerCallOptions
+) => Promise<string>;
+
+/**
+ * Third argument passed to custom text and image optimizers
+ */
+export interface OptimizerCallOptions {
+  /** Signal of the `optimize()`/`brevity()` call */
+  signal?: AbortSignal;
+  /** Effective config of the call, including per-call overrides */
+  config: BrevitConfig;
+}
+
+/**
+ * Result of the data structure analysis performed by `brevity()`
+ */
+export interface DataAnalysis {
+  /** Detected input type */
+  type: 'text' | 'longText' | 'image' | 'array' | 'object' | 'primitive';
+  /** Maximum nesting depth */
+  depth: number;
+  /** Contains arrays of objects that share the same keys */
+  hasUniformArrays: boolean;
+  /** Contains arrays of primitive values */
+  hasPrimitiveArrays: boolean;
+  /** Contains objects nested below the root */
+  hasNestedObjects: boolean;
+  /** Total length of all string values */
+  textLength: number;
+  /** Number of arrays */
+  arrayCount: number;
+  /** Number of objects */
+  objectCount: number;
+  /** Overall complexity */
+  complexity: 'simple' | 'moderate' | 'complex';
+}
+
+/**
+ * Per-call options for `brevity()`; config overrides work as in `optimize()`
+ */
+export interface BrevityOptions extends OptimizeOptions {
+  /** Resolve to a `BrevityExplanation` instead of the string */
+  explain?: boolean;
+}
+
+/**
+ * Result of `brevity(data, intent, { explain: true })`
+ */
+export interface BrevityExplanation {
+  /** The optimized string */
+  output: string;
+  /** Name of the selected strategy (null for primitives, which are returned as-is) */
+  strategy: string | null;
+  /** Why the strategy was selected */
+  reason: string;
+  /** Other applicable strategies, best first */
+  alternatives: Array<{ name: string; score: number; reason: string }>;
+  /** Structure analysis the choice was based on */
+  analysis: DataAnalysis;
+  /** Input size in tokens, measured as minified JSON for objects (null for images) */
+  inputSize: number | null;
+  /** Output size in tokens */
+  outputSize: number;
+  /** Token savings in percent (null for images) */
+  savings: number | null;
+}
+
+/**
+ * Score returned by a custom strategy analyzer
+ */
+export interface StrategyScore {
+  /** Fit score (0-100); 0 means the strategy does not apply */
+  score: number;
+  /** Human-readable reason for the score */
+  reason?: string;
+}
+
+/**
+ * Custom strategy analyzer. Receives the normalized input (parsed JSON,
+ * text or image data) and its analysis.
+ */
+export type StrategyAnalyzer = (data: unknown, analysis: DataAnalysis) => number | StrategyScore;
+
+/**
+ * Custom strategy optimizer, called when its strategy wins
+ */
+export type StrategyOptimizer = (
+  data: unknown,
+  intent: string | null,
+  analysis: DataAnalysis
 ) => Promise<string>;
 
 /**
@@ -173,6 +560,185 @@ export interface BrevitClientOptions {
    * Custom image optimizer function
    */
   imageOptimizer?: ImageOptimizerFunction;
+
+  /**
+   * Backend for `SummarizeHighQuality` text optimization
+   */
+  textBackend?: HttpBackend | HttpBackendOptions;
+
+  /**
+   * Backend for `Ocr` image optimization
+   */
+  imageBackend?: HttpBackend | HttpBackendOptions;
+
+  /**
+   * Cache optimizer results by content hash, mode and intent: `true` for an
+   * in-memory `MemoryCache`, or any storage with `get`/`set`
+   */
+  cache?: boolean | CacheStorage;
+
+  /**
+   * Tokenizer used by `compare()` and `maxTokens` (defaults to the offline ApproximateTokenizer)
+   */
+  tokenizer?: Tokenizer;
+}
+
+/**
+ * Options for the streaming encoder
+ */
+export interface StreamOptions {
+  /**
+   * Path of the array in the output ('' writes a root-level array)
+   * @default ''
+   */
+  key?: string;
+
+  /**
+   * Collects the placeholders when the client's config sets `redact`
+   */
+  redactions?: Redactions;
+}
+
+/**
+ * Anything that can count tokens in a text
+ */
+export interface Tokenizer {
+  count(text: string): number;
+}
+
+/**
+ * Size of one encoding reported by `BrevitClient.compare()`
+ */
+export interface CompareResult {
+  /** Variant name: 'None', 'Flatten', 'Flatten (no abbreviations)' or 'ToYaml' */
+  name: string;
+  /** The encoded output */
+  output: string;
+  /** Output length in characters */
+  characters: number;
+  /** Output length in tokens */
+  tokens: number;
+  /** Percentage of tokens saved compared to 'None' (minified JSON) */
+  savings: number;
+}
+
+/**
+ * Result of `BrevitClient.compare()`
+ */
+export interface CompareReport {
+  /** One entry per variant, in a fixed order */
+  results: CompareResult[];
+  /** The variant with the fewest tokens */
+  best: CompareResult;
+}
+
+/**
+ * Abbreviations as `{ prefix: alias }`, e.g. `{ 'customer.profile': 'cp' }`
+ * for `@cp=customer.profile`. Aliases are letters, digits or `_`.
+ */
+export type AbbreviationDictionary = Record<string, string>;
+
+/**
+ * Result of `BrevitClient.optimizeMany()`
+ */
+export interface OptimizeManyResult {
+  /** The shared dictionary */
+  dictionary: AbbreviationDictionary;
+  /** Its `@x=prefix` definition lines ('' when empty), to place once above the outputs */
+  definitions: string;
+  /** One output per item, in order, using the aliases without defining them */
+  outputs: string[];
+  /** Placeholders shared by the outputs, for `restore()` (null without `redact`) */
+  redactions: Redactions | null;
+}
+
+/**
+ * Options for `new BrevitPrompt()` and `BrevitClient.buildContext()`
+ */
+export interface PromptOptions {
+  /** Intent passed to every input (overridable per input) */
+  intent?: string | null;
+  /** Prepend the format legend (default: true) */
+  legend?: boolean;
+  /** Section labels: 'xml' (`<order>...</order>`, the default) or 'markdown' (`## order`) */
+  style?: 'xml' | 'markdown';
+  /** Placeholders shared by the inputs when `redact` is on (default: a new Redactions) */
+  redactions?: Redactions;
+}
+
+/**
+ * A named input of `BrevitClient.buildContext()`; other fields are
+ * per-input optimize() options
+ */
+export interface ContextInput extends OptimizeOptions {
+  /** Section label */
+  name: string;
+  /** Object, JSON string, text or image data */
+  data: unknown;
+}
+
+/**
+ * A text content part of a chat message
+ */
+export interface TextPart {
+  type: 'text';
+  text: string;
+}
+
+/**
+ * One optimized input of a `BrevitPrompt`
+ */
+export interface PromptSection {
+  /** Section label */
+  name: string;
+  /** The optimized input */
+  output: string;
+  /** The labeled section */
+  text: string;
+}
+
+/**
+ * Options for `BrevitClient.optimizeMessages()`
+ */
+export interface OptimizeMessagesOptions extends OptimizeOptions {
+  /** Let brevity() pick the strategy for each item instead of optimize() (default: false) */
+  auto?: boolean;
+  /** Replace base64 image parts with the image optimizer's output when there is a backend, a custom optimizer or Metadata mode (default: true) */
+  images?: boolean;
+}
+
+/**
+ * Size of one message reported by `BrevitClient.optimizeMessages()`
+ */
+export interface MessageStats {
+  /** Position in the message array */
+  index: number;
+  /** The message's role */
+  role: string | undefined;
+  /** Tokens of the serialized message, without image data */
+  inputSize: number;
+  /** Tokens of the optimized message */
+  outputSize: number;
+  /** Percentage of tokens saved */
+  savings: number;
+}
+
+/**
+ * Result of `BrevitClient.optimizeMessages()`
+ */
+export interface OptimizeMessagesResult<T = unknown> {
+  /** Optimized copies of the messages, in the same order */
+  messages: T[];
+  /** One entry per message */
+  stats: MessageStats[];
+  /** Total input tokens */
+  inputSize: number;
+  /** Total output tokens */
+  outputSize: number;
+  /** Percentage of tokens saved overall */
+  savings: number;
+  /** Placeholders shared by the messages, for `restore()` (null without `redact`) */
+  redactions: Redactions | null;
 }
 
 /**
@@ -199,6 +765,7 @@ export class BrevitClient {
    *   - Any other primitive value
    * @param intent Optional hint about the user's goal, which can
    *   help the optimizers make better decisions
+   * @param options Per-call options; config options override the client's config for this call
    * @returns Promise resolving to an optimized string
    *
    * @example
@@ -221,7 +788,603 @@ export class BrevitClient {
    * // Returns OCR text or metadata
    * ```
    */
-  optimize(rawData: unknown, intent?: string | null): Promise<string>;
+  optimize(rawData: unknown, intent?: string | null, options?: OptimizeOptions): Promise<string>;
+
+  /**
+   * Optimizes data with per-call options, e.g.
+   * `optimize(data, { intent: 'totals', jsonMode: 'ToYaml' })`
+   */
+  optimize(rawData: unknown, options: OptimizeOptions): Promise<string>;
+
+  /**
+   * Encodes the same data with every JSON mode (None, Flatten with and
+   * without abbreviations, ToYaml) and reports characters, tokens and
+   * savings relative to minified JSON for each.
+   *
+   * @param rawData The object or JSON string to compare
+   * @returns Promise resolving to the per-variant report
+   */
+  compare(rawData: unknown): Promise<CompareReport>;
+
+  /**
+   * Builds an LLM prompt context from named inputs: each input is
+   * optimized and wrapped in a labeled section, and a legend explaining the
+   * notations used is prepended. See `BrevitPrompt`.
+   *
+   * @param inputs `{ name: data }`, or `[{ name, data, ...options }]` with per-input options
+   * @param options `format: 'parts'` returns chat message content parts instead of a string
+   */
+  buildContext(inputs: Record<string, unknown> | ContextInput[], options?: PromptOptions & { format?: 'text' }): Promise<string>;
+  buildContext(inputs: Record<string, unknown> | ContextInput[], options: PromptOptions & { format: 'parts' }): Promise<TextPart[]>;
+
+  /**
+   * Optimizes an OpenAI- or Anthropic-style chat message array: tool
+   * results, function call arguments and JSON embedded in texts are
+   * optimized, base64 image parts become text parts (with an `imageBackend`,
+   * a custom `imageOptimizer` or Metadata mode). Texts are only
+   * replaced when they shrink; roles, ids and order are kept and the input
+   * is not modified. Anthropic `tool_use` inputs stay objects.
+   *
+   * @param messages The messages
+   * @param options Per-call options, plus `auto` (use brevity()) and `images`
+   * @returns Promise resolving to the optimized messages and per-message sizes
+   * @throws TypeError for a non-array or unknown option names
+   */
+  optimizeMessages<T = unknown>(messages: T[], options?: OptimizeMessagesOptions): Promise<OptimizeMessagesResult<T>>;
+
+  /**
+   * Plans one set of abbreviations for a batch of documents, counting
+   * prefixes across all of them.
+   *
+   * @param items Objects or JSON strings (other items are ignored)
+   * @param options Config overrides for this call
+   * @returns The dictionary (empty when the jsonMode doesn't flatten)
+   */
+  createDictionary(items: unknown[], options?: BrevitConfigOptions): AbbreviationDictionary;
+
+  /**
+   * Optimizes a batch of documents with one shared abbreviation dictionary
+   * whose definitions are returned once instead of in every output. A
+   * dictionary passed as `abbreviationDictionary` (or pinned) is used as-is.
+   *
+   * @example
+   * ```typescript
+   * const { definitions, outputs } = await client.optimizeMany(records);
+   * const context = [definitions, ...outputs].join('\n\n');
+   * ```
+   */
+  optimizeMany(items: unknown[], options?: OptimizeOptions): Promise<OptimizeManyResult>;
+
+  /**
+   * Pins an abbreviation dictionary: later calls use exactly these aliases
+   * and leave their definitions out, keeping outputs stable for prompt
+   * caching. `null` unpins it.
+   *
+   * @throws TypeError for an invalid dictionary
+   */
+  pinDictionary(dictionary: AbbreviationDictionary | null): void;
+
+  /**
+   * Encodes a stream of records without buffering it. Uniform flat records
+   * become one open-ended tabular block (`key[]{f1,f2}:` plus one row per
+   * record, closed by a blank line); records that break uniformity are
+   * written in indexed form (`key[i].field:value`).
+   *
+   * @param source Records, NDJSON text, or chunks of NDJSON text (strings or bytes)
+   * @param options Stream options
+   * @returns Async iterable of output chunks, each ending with a newline
+   *
+   * @example
+   * ```typescript
+   * for await (const chunk of client.optimizeStream(cursor, { key: 'orders' })) {
+   *   process.stdout.write(chunk);
+   * }
+   * ```
+   */
+  optimizeStream(
+    source: AsyncIterable<unknown> | Iterable<unknown> | string,
+    options?: StreamOptions
+  ): AsyncGenerator<string, void, undefined>;
+
+  /**
+   * Creates a WHATWG TransformStream that encodes records (or NDJSON text
+   * or bytes) written to it
+   * @param options Stream options
+   */
+  createTransformStream(options?: StreamOptions): TransformStream<unknown, string>;
+
+  /**
+   * Creates a Node.js Transform stream (object mode on the writable side)
+   * that encodes records or NDJSON chunks. Node.js only.
+   * @param options Stream options
+   */
+  createNodeTransform(options?: StreamOptions): Promise<import('stream').Transform>;
+
+  /**
+   * Intelligently optimizes data by automatically selecting the best
+   * strategy. Built-in strategies compete with strategies registered
+   * through `registerStrategy()`; the highest score wins.
+   *
+   * @param rawData The data to optimize (object, JSON string, text or image data)
+   * @param intent Optional hint about the user's goal
+   * @param options Per-call options (`signal` cancels backend requests)
+   * @returns Promise resolving to an optimized string
+   */
+  brevity(rawData: unknown, intent?: string | null, options?: BrevityOptions & { explain?: false }): Promise<string>;
+
+  /**
+   * Like `brevity()`, but resolves to the output together with the chosen
+   * strategy, the reason, the alternatives that lost and the token sizes
+   */
+  brevity(rawData: unknown, intent: string | null | undefined, options: BrevityOptions & { explain: true }): Promise<BrevityExplanation>;
+
+  /**
+   * `brevity()` with per-call options, e.g. `brevity(data, { intent, explain: true })`
+   */
+  brevity(rawData: unknown, options: BrevityOptions & { explain: true }): Promise<BrevityExplanation>;
+  brevity(rawData: unknown, options: BrevityOptions & { explain?: false }): Promise<string>;
+
+  /**
+   * Analyzes data the way `brevity()` does before choosing a strategy
+   * @param data The data (object, JSON string, text or image data)
+   * @param options Config overrides for this call (e.g. `longTextThreshold`)
+   * @returns The structure analysis
+   */
+  analyze(data: unknown, options?: BrevitConfigOptions): DataAnalysis;
+
+  /**
+   * Reports cache hits and misses since the client was created or the cache was cleared
+   */
+  cacheStats(): CacheStats;
+
+  /**
+   * Empties the cache (when the storage supports `clear()`) and resets the stats
+   */
+  clearCache(): Promise<void>;
+
+  /**
+   * Registers a custom strategy for `brevity()`. Registering a built-in
+   * name (see `BrevityStrategy`) overrides that built-in.
+   *
+   * @param name Strategy name
+   * @param analyzer Scores how well the strategy fits the data
+   * @param optimizer Produces the output when the strategy wins
+   *
+   * @example
+   * ```typescript
+   * client.registerStrategy('logLines',
+   *   (data, analysis) => analysis.type === 'text' && isLog(data) ? 95 : 0,
+   *   async (data) => compressLogs(data as string));
+   * ```
+   */
+  registerStrategy(name: string, analyzer: StrategyAnalyzer, optimizer: StrategyOptimizer): void;
+
+  /**
+   * Removes a custom strategy. A built-in it overrode becomes active again.
+   * @param name Strategy name
+   * @returns True if a strategy was removed
+   */
+  unregisterStrategy(name: string): boolean;
+
+  /**
+   * Excludes a built-in or custom strategy from `brevity()` selection.
+   * Disabling Flatten also disables the fallback used when nothing else applies.
+   * @param name Strategy name
+   */
+  disableStrategy(name: string): void;
+
+  /**
+   * Re-enables a strategy disabled with `disableStrategy()`
+   * @param name Strategy name
+   */
+  enableStrategy(name: string): void;
+}
+
+/**
+ * Writes an abbreviation dictionary as `@x=prefix` definition lines.
+ * Prepend them to output made with the dictionary to decode it.
+ *
+ * @example
+ * ```typescript
+ * const data = decode(formatDictionary(dictionary) + '\n' + output);
+ * ```
+ * @throws TypeError for an invalid dictionary
+ */
+export function formatDictionary(dictionary: AbbreviationDictionary): string;
+
+/**
+ * Mapping between placeholders and the sensitive values they replace,
+ * filled in by the `redact` option. The same value always gets the same
+ * placeholder; reuse one instance across a conversation, then restore the
+ * originals into the model's response.
+ *
+ * @example
+ * ```typescript
+ * const redactions = new Redactions();
+ * const context = await client.optimize(ticket, { redact: true, redactions });
+ * const answer = redactions.restore(await callModel(context));
+ * ```
+ */
+export class Redactions {
+  /**
+   * @param mapping `{ placeholder: original }`, e.g. from `toJSON()`
+   * @throws TypeError for invalid placeholders
+   */
+  constructor(mapping?: Record<string, string>);
+
+  /**
+   * Number of placeholders
+   */
+  readonly size: number;
+
+  /**
+   * Returns the placeholder for a value, creating the next one of its type
+   * @param type Placeholder name, e.g. `'EMAIL'`
+   * @param value The sensitive value
+   */
+  placeholder(type: string, value: string): string;
+
+  /**
+   * Checks if a placeholder is known
+   */
+  has(placeholder: string): boolean;
+
+  /**
+   * Returns the original value of a placeholder
+   */
+  get(placeholder: string): string | undefined;
+
+  /**
+   * Puts the originals back into a response (see `restore()`)
+   */
+  restore<T>(value: T): T;
+
+  /**
+   * The mapping, `{ placeholder: original }`
+   */
+  toJSON(): Record<string, string>;
+}
+
+/**
+ * Replaces redaction placeholders with the original values. Strings, and
+ * the keys and strings of objects and arrays, are restored; unknown
+ * placeholders are left as they are.
+ *
+ * @example
+ * ```typescript
+ * restore('Sent to <EMAIL_1>', { '<EMAIL_1>': 'ada@example.com' }); // 'Sent to ada@example.com'
+ * ```
+ */
+export function restore<T>(value: T, redactions: Redactions | Record<string, string>): T;
+
+/**
+ * Builds an LLM prompt context from named inputs. Each input (object, JSON,
+ * text or image) is optimized through a BrevitClient and wrapped in a
+ * labeled section; a short legend explaining the notations that actually
+ * appear (abbreviations, tables, truncation markers, ...) is prepended.
+ *
+ * @example
+ * ```typescript
+ * const context = await new BrevitPrompt(client, { intent: 'refund eligibility' })
+ *   .add('order', order)
+ *   .add('email', emailText)
+ *   .build();
+ * ```
+ */
+export class BrevitPrompt {
+  /**
+   * @param client Client used to optimize the inputs (defaults to new BrevitClient())
+   * @param options Intent, legend and section style
+   * @throws TypeError for an unknown style
+   */
+  constructor(client?: BrevitClient, options?: PromptOptions);
+
+  /**
+   * Placeholders made for the inputs by the `redact` option, for `restore()`
+   */
+  redactions: Redactions;
+
+  /**
+   * Adds a named input.
+   * @param options Per-input optimize() options (intent, jsonMode, maxTokens, ...)
+   * @returns This prompt, for chaining
+   */
+  add(name: string, data: unknown, options?: OptimizeOptions): this;
+
+  /**
+   * Optimizes every input and returns the legend ('' when none is needed) and the sections.
+   */
+  render(): Promise<{ legend: string; sections: PromptSection[] }>;
+
+  /**
+   * Builds the context as one string: the legend and the sections, separated by blank lines.
+   */
+  build(): Promise<string>;
+
+  /**
+   * Builds the context as chat message content parts: the legend, then one part per section.
+   */
+  buildParts(): Promise<TextPart[]>;
+}
+
+/**
+ * Decodes Brevit flattened output back into a JS object or array.
+ *
+ * Expands `@x=prefix` abbreviations, rebuilds nested objects and arrays
+ * from dot/bracket paths, restores tabular blocks into object arrays and
+ * un-escapes quoted cells. Unquoted scalars are typed: `null`, `true`,
+ * `false` and numbers decode to their JS values, everything else to strings.
+ *
+ * @param text Output produced by the Flatten mode (or written in the same format)
+ * @returns The decoded object, or an array for root-level arrays
+ * @throws Error if the text is not valid Brevit flattened output
+ *
+ * @example
+ * ```typescript
+ * const text = await client.optimize(order);
+ * const roundTripped = decode(text);
+ * ```
+ */
+export function decode(text: string): Record<string, unknown> | unknown[];
+
+/**
+ * Converts a value to YAML with the built-in, zero-dependency emitter.
+ *
+ * Multi-line strings become block scalars, short primitive arrays use flow
+ * style (`[a, b]`) and uniform object arrays are written as one flow mapping
+ * per item. Values are normalized like `JSON.stringify` (`toJSON`, dropped
+ * `undefined` properties).
+ *
+ * @param value The value to convert
+ * @returns The YAML document, without a trailing newline
+ *
+ * @example
+ * ```typescript
+ * toYaml({ tags: ['a', 'b'], items: [{ sku: 'A-88', qty: 1 }] });
+ * // tags: [a, b]
+ * // items:
+ * //   - {sku: A-88, qty: 1}
+ * ```
+ */
+export function toYaml(value: unknown): string;
+
+/**
+ * Options for `cleanText()`
+ */
+export interface CleanTextOptions {
+  /** Strip markdown syntax (default: true) */
+  markdown?: boolean;
+  /** Remove boilerplate lines and signatures (default: true) */
+  boilerplate?: boolean;
+  /** Remove repeated lines after the first occurrence (default: true) */
+  dedupe?: boolean;
+}
+
+/**
+ * Cleans text locally (the built-in `TextOptimizationMode.Clean`): normalizes
+ * unicode, converts HTML and markdown to plain text, removes boilerplate
+ * (copyright lines, unsubscribe links, signatures), drops repeated lines and
+ * collapses whitespace. Runs in Node and the browser.
+ * @param text Text, HTML or markdown
+ * @param options Cleaning options
+ * @returns The cleaned text
+ */
+export function cleanText(text: string, options?: CleanTextOptions): string;
+
+/**
+ * Options for `summarizeText()`
+ */
+export interface SummarizeTextOptions {
+  /** Hint about the user's goal; sentences sharing its terms rank higher */
+  intent?: string | null;
+  /** Target summary length as a share of the text's characters (default: 0.3) */
+  ratio?: number;
+  /** Token budget for the summary; a best sentence over it is cut at a word boundary (default: none) */
+  maxTokens?: number | null;
+  /** Tokenizer used for `maxTokens` (default: the built-in estimator) */
+  tokenizer?: Tokenizer;
+}
+
+/**
+ * Summarizes text locally by extracting its most representative sentences
+ * (the built-in `TextOptimizationMode.SummarizeFast`). Sentences are scored
+ * by TF-IDF similarity to the whole text and boosted when they share terms
+ * with `intent`; the picked sentences keep their original order.
+ * @param text The text to summarize
+ * @param options Summary options
+ * @returns The summary
+ */
+export function summarizeText(text: string, options?: SummarizeTextOptions): string;
+
+/**
+ * Image descriptors returned by `readImageMetadata()`. Fields the file does
+ * not carry are absent.
+ */
+export interface ImageMetadata {
+  format: 'png' | 'jpeg' | 'gif' | 'webp' | 'bmp' | 'tiff' | 'unknown';
+  width?: number;
+  height?: number;
+  /** Bits per channel (per pixel for indexed and BMP images) */
+  bitDepth?: number;
+  color?: 'gray' | 'gray-alpha' | 'rgb' | 'rgba' | 'indexed' | 'cmyk' | 'unknown';
+  /** Frame count of animated images */
+  frames?: number;
+  /** EXIF orientation, named by the transform needed to display the image upright */
+  orientation?: 'normal' | 'flip-horizontal' | 'rotate-180' | 'flip-vertical' | 'transpose' | 'rotate-90' | 'transverse' | 'rotate-270';
+  camera?: { make?: string; model?: string };
+  /** Capture time in the camera's local time, e.g. `2024-05-01T14:03:22` */
+  takenAt?: string;
+  gps?: { lat: number; lon: number; alt?: number };
+  /** File size in bytes */
+  bytes: number;
+}
+
+/**
+ * Reads image descriptors from the file header without decoding pixels
+ * (the built-in `ImageOptimizationMode.Metadata`). Detects PNG, JPEG, GIF,
+ * WebP, BMP and TIFF from their magic bytes.
+ * @param imageData The image file contents
+ * @param options `gps: false` omits the EXIF GPS position
+ * @returns The image metadata
+ */
+export function readImageMetadata(imageData: ArrayBuffer | Uint8Array, options?: { gps?: boolean }): ImageMetadata;
+
+/**
+ * Offline token estimator. Splits text the way cl100k-style BPE
+ * tokenizers pre-tokenize it and estimates the cost of each piece.
+ */
+export class ApproximateTokenizer implements Tokenizer {
+  count(text: string): number;
+}
+
+/**
+ * Options for BpeTokenizer
+ */
+export interface BpeTokenizerOptions {
+  /**
+   * Pre-tokenization pattern (defaults to the cl100k pattern)
+   */
+  pattern?: RegExp | string;
+}
+
+/**
+ * Byte-level BPE tokenizer driven by a rank vocabulary, for exact counts
+ */
+export class BpeTokenizer implements Tokenizer {
+  /**
+   * @param ranks Token bytes (as a latin1 string) to merge rank
+   * @param options Tokenizer options
+   */
+  constructor(ranks: Map<string, number>, options?: BpeTokenizerOptions);
+
+  /**
+   * Creates a tokenizer from the contents of a `.tiktoken` vocabulary file
+   * @param fileText The file contents ("base64Token rank" per line)
+   * @param options Tokenizer options
+   */
+  static fromTiktoken(fileText: string, options?: BpeTokenizerOptions): BpeTokenizer;
+
+  /**
+   * Encodes a text into token ids
+   */
+  encode(text: string): number[];
+
+  /**
+   * Counts the tokens in a text
+   */
+  count(text: string): number;
+}
+
+/**
+ * Counts (or estimates) the number of tokens in a text
+ * @param text The text to measure
+ * @param tokenizer Tokenizer to use (defaults to the offline ApproximateTokenizer)
+ * @returns Token count
+ */
+export function estimateTokens(text: string, tokenizer?: Tokenizer): number;
+
+/**
+ * Options for `HttpBackend`
+ */
+export interface HttpBackendOptions {
+  /** URL the requests are POSTed to */
+  endpoint: string;
+  /** Extra headers, or a (possibly async) function returning them per request */
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  /** Sent as `Authorization: Bearer <apiKey>` */
+  apiKey?: string | null;
+  /** Time limit per attempt, including reading the body, in milliseconds (default: 30000) */
+  timeout?: number;
+  /** Retries after the first attempt (default: 2) */
+  retries?: number;
+  /** Delay before the first retry in milliseconds; doubles on each retry (default: 500) */
+  retryDelay?: number;
+  /** Upper bound for a single retry delay in milliseconds (default: 10000) */
+  maxRetryDelay?: number;
+  /** Fall back to local Clean/Metadata processing when the backend fails (default: true) */
+  fallback?: boolean;
+  /** fetch implementation (default: the global fetch) */
+  fetch?: typeof fetch;
+}
+
+/**
+ * HTTP client for a summarization or OCR backend. Requests are JSON POSTs:
+ * `{task: 'summarize', mode, text, intent}` or
+ * `{task: 'ocr', image: <base64>, mimeType, intent}`. The backend answers
+ * with `{text}` as JSON or with the text itself as `text/plain`. Network
+ * errors, timeouts and HTTP 408/425/429/5xx are retried with exponential
+ * backoff.
+ */
+export class HttpBackend {
+  readonly endpoint: string;
+  readonly timeout: number;
+  readonly retries: number;
+  readonly retryDelay: number;
+  readonly maxRetryDelay: number;
+  readonly fallback: boolean;
+
+  constructor(options: HttpBackendOptions);
+
+  /**
+   * Asks the backend to summarize a text
+   */
+  summarize(text: string, options?: { intent?: string | null; mode?: TextOptimizationModeType; signal?: AbortSignal }): Promise<string>;
+
+  /**
+   * Asks the backend to extract the text of an image
+   */
+  ocr(imageData: ArrayBuffer | Uint8Array, options?: { intent?: string | null; signal?: AbortSignal }): Promise<string>;
+
+  /**
+   * POSTs a JSON payload, retrying transient failures
+   * @returns The response text
+   */
+  request(payload: Record<string, unknown>, options?: { signal?: AbortSignal }): Promise<string>;
+}
+
+/**
+ * Storage for the result cache. Methods may be sync or async.
+ */
+export interface CacheStorage {
+  get(key: string): string | undefined | Promise<string | undefined>;
+  set(key: string, value: string): void | Promise<void>;
+  delete?(key: string): void | Promise<void>;
+  clear?(): void | Promise<void>;
+  /** Number of entries, reported by `cacheStats()` when present */
+  readonly size?: number;
+}
+
+/**
+ * Cache usage reported by `cacheStats()`
+ */
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  /** Share of hits, between 0 and 1 */
+  hitRate: number;
+  /** Number of entries, when the storage reports it */
+  size?: number;
+}
+
+/**
+ * In-memory LRU cache with a time-to-live; the default cache storage
+ */
+export class MemoryCache implements CacheStorage {
+  /** Entries kept before the least recently used is evicted */
+  maxEntries: number;
+  /** Time to live in milliseconds (null = no expiry) */
+  ttl: number | null;
+  readonly size: number;
+
+  /**
+   * @param options `maxEntries` (default 1000) and `ttl` in ms (default 3600000)
+   */
+  constructor(options?: { maxEntries?: number; ttl?: number | null });
+
+  get(key: string): string | undefined;
+  set(key: string, value: string): void;
+  delete(key: string): void;
+  clear(): void;
 }
 
 // Re-export types for convenience
@@ -15,8 +15,8 @@
 export const JsonOptimizationMode = {
   None: 'None',
   Flatten: 'Flatten',
-  ToYaml: 'ToYaml', // Note: Requires a YAML library like 'js-yaml'
-  Filter: 'Filter', // Note: Requires a JSON-path library or custom logic
+  ToYaml: 'ToYaml', // Built-in emitter; uses 'js-yaml' when useJsYaml is set
+  Filter: 'Filter', // Prunes with jsonPathsToKeep/jsonPathsToDrop, then flattens
 };
 
 export const TextOptimizationMode = {
@@ -32,6 +32,30 @@ export const ImageOptimizationMode = {
   Metadata: 'Metadata',
 };
 
+// How keys and values are written in flattened output
+export const EncodingMode = {
+  Compact: 'Compact', // Quotes only values that would break the line structure
+  Strict: 'Strict', // Quotes ambiguous keys and values so decode() is lossless
+};
+
+// Names of the built-in strategies used by brevity()
+export const BrevityStrategy = {
+  Flatten: 'Flatten',
+  ToYaml: 'ToYaml',
+  TextOptimization: 'TextOptimization',
+  ImageOptimization: 'ImageOptimization',
+};
+
+// Kinds of sensitive values the redact option detects; each names its placeholders (<EMAIL_1>, ...)
+export const RedactionType = {
+  Email: 'EMAIL',
+  Phone: 'PHONE',
+  CreditCard: 'CREDIT_CARD',
+  Iban: 'IBAN',
+  ApiKey: 'API_KEY',
+  Jwt: 'JWT',
+};
+
 /**
  * Configuration object for the BrevitClient.
  */
@@ -42,29 +66,76 @@ export class BrevitConfig {
    * @param {string} options.textMode - Strategy for Text optimization.
    * @param {string} options.imageMode - Strategy for Image optimization.
    * @param {string[]} options.jsonPathsToKeep - Paths to keep for Filter mode.
+   * @param {string[]} options.jsonPathsToDrop - Paths to remove in Filter mode (applied after jsonPathsToKeep).
    * @param {number} options.longTextThreshold - Char count to trigger text optimization.
    * @param {boolean} options.enableAbbreviations - Enable abbreviation feature for repeated prefixes.
    * @param {number} options.abbreviationThreshold - Minimum occurrences to create abbreviation.
+   * @param {boolean} options.enableValueDictionary - Write repeated string values once in a "$n=value" legend and reference them as "$n" (Flatten and Filter modes).
+   * @param {Object} options.abbreviationDictionary - Fixed abbreviations ({ prefix: alias }) used instead of per-call ones; their definitions are left out of the output (null = generate per call).
+   * @param {boolean} options.useJsYaml - Use the optional 'js-yaml' package for ToYaml mode instead of the built-in emitter.
+   * @param {number} options.maxTokens - Maximum output size in tokens (null = unlimited).
+   * @param {number} options.maxChars - Maximum output size in characters (null = unlimited).
+   * @param {string[]} options.lowPriorityPaths - Paths dropped first when the output exceeds the budget.
+   * @param {string} options.encodingMode - Compact (default) or Strict escaping of keys and values.
+   * @param {number} options.tabularSparsityThreshold - Maximum share of empty cells (0-1) for an object array to use tabular format.
+   * @param {Object} options.schema - JSON Schema or field schema describing the data (null = none).
+   * @param {number} options.summaryRatio - Target length of SummarizeFast summaries as a share of the text.
+   * @param {number} options.summaryMaxTokens - Token budget for SummarizeFast summaries (null = ratio only).
+   * @param {boolean} options.includeGps - Include the EXIF GPS position in Metadata image output.
+   * @param {boolean|Object} options.redact - Replace sensitive values with placeholders before encoding: true, or
+   *   `{ types, patterns, allowPaths, denyPaths }` (null = off). See Redactions.
    */
   constructor({
     jsonMode = JsonOptimizationMode.Flatten,
     textMode = TextOptimizationMode.Clean,
     imageMode = ImageOptimizationMode.Ocr,
     jsonPathsToKeep = [],
+    jsonPathsToDrop = [],
     longTextThreshold = 500,
     enableAbbreviations = true,
     abbreviationThreshold = 2,
+    abbreviationDictionary = null,
+    enableValueDictionary = false,
+    useJsYaml = false,
+    maxTokens = null,
+    maxChars = null,
+    lowPriorityPaths = [],
+    encodingMode = EncodingMode.Compact,
+    tabularSparsityThreshold = 0.5,
+    schema = null,
+    summaryRatio = 0.3,
+    summaryMaxTokens = null,
+    includeGps = true,
+    redact = null,
   } = {}) {
     this.jsonMode = jsonMode;
     this.textMode = textMode;
     this.imageMode = imageMode;
     this.jsonPathsToKeep = jsonPathsToKeep;
+    this.jsonPathsToDrop = jsonPathsToDrop;
     this.longTextThreshold = longTextThreshold;
     this.enableAbbreviations = enableAbbreviations;
     this.abbreviationThreshold = abbreviationThreshold;
+    this.abbreviationDictionary = abbreviationDictionary;
+    this.enableValueDictionary = enableValueDictionary;
+    this.useJsYaml = useJsYaml;
+    this.maxTokens = maxTokens;
+    this.maxChars = maxChars;
+    this.lowPriorityPaths = lowPriorityPaths;
+    this.encodingMode = encodingMode;
+    this.tabularSparsityThreshold = tabularSparsityThreshold;
+    this.schema = schema;
+    this.summaryRatio = summaryRatio;
+    this.summaryMaxTokens = summaryMaxTokens;
+    this.includeGps = includeGps;
+    this.redact = redact;
   }
 }
 
+// Option names accepted by optimize()/brevity() besides the BrevitConfig fields
+const CALL_OPTION_NAMES = new Set(['intent', 'signal', 'explain', 'redactions']);
+const CONFIG_OPTION_NAMES = new Set(Object.keys(new BrevitConfig()));
+
 /**
  * The main client for the Brevit.js library.
  * This class orchestrates the optimization pipeline.
@@ -75,48 +146,96 @@ export class BrevitClient {
    * @param {Object} options - Optional custom optimizers
    * @param {Function} options.textOptimizer - Custom text optimizer function
    * @param {Function} options.imageOptimizer - Custom image optimizer function
+   * @param {HttpBackend|Object} options.textBackend - Backend for SummarizeHighQuality (HttpBackend or its options)
+   * @param {HttpBackend|Object} options.imageBackend - Backend for Ocr (HttpBackend or its options)
+   * @param {boolean|Object} options.cache - Cache optimizer results: true for a MemoryCache, or a storage with get/set
+   * @param {Object} options.tokenizer - Tokenizer with a `count(text)` method, used by compare()
    */
   constructor(config = new BrevitConfig(), options = {}) {
     this._config = config;
+    this._options = options;
     this._textOptimizer = options.textOptimizer || this._defaultTextOptimizer.bind(this);
     this._imageOptimizer = options.imageOptimizer || this._defaultImageOptimizer.bind(this);
+    this._textBackend = options.textBackend ? asHttpBackend(options.textBackend) : null;
+    this._imageBackend = options.imageBackend ? asHttpBackend(options.imageBackend) : null;
+    this._cache = options.cache === true ? new MemoryCache() : options.cache || null;
+    this._cacheStats = { hits: 0, misses: 0 };
+    this._pendingResults = new Map();
+    this._tokenizer = options.tokenizer || defaultTokenizer;
+    this._strategies = new Map();
+    this._disabledStrategies = new Set();
+    this._warnedUnrestorable = false;
   }
 
   /**
-   * Checks if an array contains uniform objects (all have same keys).
+   * Checks if a value is binary image data (ArrayBuffer, Uint8Array or Buffer).
+   * @param {any} data - The value to check
+   * @returns {boolean} True for image data
+   * @private
+   */
+  _isImageData(data) {
+    return data instanceof ArrayBuffer ||
+      data instanceof Uint8Array ||
+      (data !== null && typeof data === 'object' && data.constructor && data.constructor.name === 'Buffer');
+  }
+
+  /**
+   * Returns the columns for writing an object array in tabular format.
+   * Objects may be semi-uniform: the header is the union of their keys (in
+   * first-seen order), nested objects become dotted columns and primitive
+   * arrays are written inline. Arrays whose share of empty cells exceeds
+   * tabularSparsityThreshold, or whose values can't be cells (object arrays,
+   * empty objects, a key that is an object in one row and a value in another),
+   * are left to the indexed fallback. With an item schema, columns follow
+   * the schema's field order; other columns come after them.
    * @param {Array} arr - The array to check
-   * @returns {Object|null} Object with keys array if uniform, null otherwise
+   * @param {Object} [itemSchema] - Compiled schema of the array items
+   * @returns {Object|null} Object with columns (arrays of key segments), or null
    * @private
    */
-  _isUniformObjectArray(arr) {
+  _getTabularColumns(arr, itemSchema = null, config = this._config) {
     if (!Array.isArray(arr) || arr.length === 0) return null;
-    
-    const firstItem = arr[0];
-    if (typeof firstItem !== 'object' || firstItem === null || Array.isArray(firstItem)) {
+
+    const columns = new Map();
+    const kinds = new Map();
+    let filledCells = 0;
+
+    const collect = (obj, segments) => {
+      for (const [key, value] of Object.entries(obj)) {
+        const path = [...segments, key];
+        const id = path.join('\u0000');
+        const kind = isPlainObject(value) ? 'object' : 'value';
+        if (kinds.has(id) && kinds.get(id) !== kind) return false;
+        kinds.set(id, kind);
+
+        if (kind === 'object') {
+          if (Object.keys(value).length === 0 || !collect(value, path)) return false;
+        } else {
+          if (Array.isArray(value) && !value.every(item => item === null || typeof item !== 'object')) {
+            return false;
+          }
+          if (!columns.has(id)) columns.set(id, path);
+          filledCells++;
+        }
+      }
+      return true;
+    };
+
+    for (const item of arr) {
+      if (!isPlainObject(item) || !collect(item, [])) return null;
+    }
+
+    const totalCells = arr.length * columns.size;
+    if (totalCells > 0 && 1 - filledCells / totalCells > config.tabularSparsityThreshold) {
       return null;
     }
-    
-    // Preserve original field order instead of sorting
-    const firstKeys = Object.keys(firstItem);
-    const firstKeySet = new Set(firstKeys);
-    
-    // Check if all items have the same keys (order-independent)
-    for (let i = 1; i < arr.length; i++) {
-      const item = arr[i];
-      if (typeof item !== 'object' || item === null || Array.isArray(item)) {
-        return null;
-      }
-      const itemKeys = Object.keys(item);
-      if (firstKeys.length !== itemKeys.length) {
-        return null;
-      }
-      // Check if all keys exist (order doesn't matter for uniformity)
-      if (!itemKeys.every(key => firstKeySet.has(key))) {
-        return null;
-      }
+
+    const ordered = [...columns.values()];
+    if (itemSchema && itemSchema.properties) {
+      const ranks = new Map(ordered.map(path => [path, schemaRank(itemSchema, path)]));
+      ordered.sort((a, b) => compareRanks(ranks.get(a), ranks.get(b)));
     }
-    
-    return { keys: firstKeys };
+    return { columns: ordered };
   }
 
   /**
@@ -142,35 +261,111 @@ export class BrevitClient {
 
   /**
    * Escapes a value for comma-separated format.
+   * In Strict mode, strings that would decode as another type ("null",
+   * "true", "42"), lose whitespace or contain control characters are quoted too.
    * @param {any} value - The value to escape
    * @returns {string} Escaped string
    * @private
    */
-  _escapeValue(value) {
+  _escapeValue(value, config = this._config) {
+    if (value === null || value === undefined) return 'null';
     const str = String(value);
-    // Quote if contains comma, newline, or quotes
-    if (str.includes(',') || str.includes('\n') || str.includes('"')) {
-      return `"${str.replace(/"/g, '\\"')}"`;
+    if (config.encodingMode === EncodingMode.Strict) {
+      return typeof value === 'string' && isAmbiguousString(str) ? JSON.stringify(str) : str;
+    }
+    // Quote if contains comma, newline, or quotes; empty cells mean "missing"
+    // and "[...]" means an inline array
+    if (str === '' || str.includes(',') || str.includes('\n') || str.includes('"') || isInlineArrayLike(str)) {
+      return quoteString(str);
     }
     return str;
   }
 
+  /**
+   * Quotes a string using the escapes of the current encoding mode.
+   * @param {string} str - The string
+   * @returns {string} The quoted string
+   * @private
+   */
+  _quote(str, config = this._config) {
+    return config.encodingMode === EncodingMode.Strict ? JSON.stringify(str) : quoteString(str);
+  }
+
+  /**
+   * Escapes a value written after "key:" on its own line. Unlike cells, commas
+   * need no quoting there; in Compact mode only newlines and a leading quote do.
+   * @param {any} value - The value to escape
+   * @returns {string} Escaped string
+   * @private
+   */
+  _escapeScalar(value, config = this._config) {
+    if (config.encodingMode === EncodingMode.Strict) {
+      return this._escapeValue(value, config);
+    }
+    const str = String(value);
+    return str.includes('\n') || str.startsWith('"') ? this._quote(str, config) : str;
+  }
+
+  /**
+   * Formats an object key for use in a path or tabular header. In Strict mode,
+   * keys that contain path syntax (`.`, `[`, `:`, `,`, ...) are quoted.
+   * @param {string} key - The key
+   * @returns {string} The key, quoted if needed
+   * @private
+   */
+  _formatKey(key, config = this._config) {
+    // "# " would read as a legend comment, even in Compact mode
+    if ((config.encodingMode === EncodingMode.Strict && isAmbiguousKey(key)) || key.startsWith('# ')) {
+      return JSON.stringify(key);
+    }
+    return key;
+  }
+
   /**
    * Formats a uniform object array in tabular format.
-   * @param {Array} arr - The uniform object array
+   * Missing fields are written as empty cells. Columns typed by the schema
+   * are written as "name:type" (e.g. `items[2]{sku:str,qty:int}:`).
+   * @param {Array} arr - The (semi-)uniform object array
    * @param {string} prefix - The key path prefix
+   * @param {Array<Array<string>>} columns - Columns from _getTabularColumns
+   * @param {Object} [itemSchema] - Compiled schema of the array items
    * @returns {string} Formatted tabular string
    * @private
    */
-  _formatTabularArray(arr, prefix) {
-    const { keys } = this._isUniformObjectArray(arr);
-    const header = `${prefix}[${arr.length}]{${keys.join(',')}}:`;
-    const rows = arr.map(item => 
-      keys.map(key => this._escapeValue(item[key] ?? 'null')).join(',')
+  _formatTabularArray(arr, prefix, columns, itemSchema = null, config = this._config) {
+    const fields = columns.map(path => {
+      const name = path.map(key => this._formatKey(key, config)).join('.');
+      const type = schemaColumnType(itemSchema, path);
+      return type ? `${name}:${type}` : name;
+    });
+    const header = `${prefix}[${arr.length}]{${fields.join(',')}}:`;
+    const rows = arr.map(item =>
+      columns.map(path => {
+        let value = item;
+        for (const key of path) {
+          if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, key)) return '';
+          value = value[key];
+        }
+        return Array.isArray(value) ? this._formatInlineArray(value, config) : this._escapeValue(value, config);
+      }).join(',')
     );
     return `${header}\n${rows.join('\n')}`;
   }
 
+  /**
+   * Formats a primitive array inside a tabular cell as "[a;b;c]".
+   * @param {Array} arr - The primitive array
+   * @returns {string} Formatted cell
+   * @private
+   */
+  _formatInlineArray(arr, config = this._config) {
+    const items = arr.map(item => {
+      const value = this._escapeValue(item, config);
+      return /[;[\]]/.test(value) && !value.startsWith('"') ? this._quote(value, config) : value;
+    });
+    return `[${items.join(';')}]`;
+  }
+
   /**
    * Formats a primitive array in comma-separated format.
    * @param {Array} arr - The primitive array
@@ -178,8 +373,8 @@ export class BrevitClient {
    * @returns {string} Formatted comma-separated string
    * @private
    */
-  _formatPrimitiveArray(arr, prefix) {
-    const values = arr.map(item => this._escapeValue(item));
+  _formatPrimitiveArray(arr, prefix, config = this._config) {
+    const values = arr.map(item => this._escapeValue(item, config));
     return `${prefix}[${arr.length}]:${values.join(',')}`;
   }
 
@@ -188,118 +383,189 @@ export class BrevitClient {
    * @param {any} node - The current JS object, array, or value.
    * @param {string} prefix - The key path built so far.
    * @param {Array<string>} output - The output array of formatted lines.
+   * @param {Object} [schema] - Compiled schema of the current node.
    * @private
    */
-  _flatten(node, prefix = '', output = []) {
+  _flatten(node, prefix = '', output = [], schema = null, config = this._config) {
     if (typeof node === 'object' && node !== null && !Array.isArray(node)) {
-      // It's an object
+      // It's an object; empty ones are written explicitly as "key:{}"
+      if (prefix && Object.keys(node).length === 0) {
+        output.push(`${prefix}:{}`);
+        return;
+      }
       Object.entries(node).forEach(([key, value]) => {
-        const newPrefix = prefix ? `${prefix}.${key}` : key;
-        this._flatten(value, newPrefix, output);
+        const formattedKey = this._formatKey(key, config);
+        const newPrefix = prefix ? `${prefix}.${formattedKey}` : formattedKey;
+        this._flatten(value, newPrefix, output, schemaField(schema, key), config);
       });
     } else if (Array.isArray(node)) {
       // It's an array - check for optimization opportunities
       
-      // Check for uniform object array (tabular format)
-      const uniformCheck = this._isUniformObjectArray(node);
-      if (uniformCheck) {
-        output.push(this._formatTabularArray(node, prefix));
+      // Arrays trimmed by the token budget end with a "...(+k more)" line
+      const marker = node[TRUNCATED_ITEMS] ? `\n${truncationMarker(node[TRUNCATED_ITEMS])}` : '';
+
+      if (prefix && node.length === 0) {
+        output.push(`${prefix}:[]${marker}`);
+        return;
+      }
+
+      // Check for (semi-)uniform object array (tabular format)
+      const itemSchema = schema ? schema.items : null;
+      const tabular = this._getTabularColumns(node, itemSchema, config);
+      if (tabular) {
+        output.push(this._formatTabularArray(node, prefix, tabular.columns, itemSchema, config) + marker);
         return;
       }
       
       // Check for primitive array (comma-separated format)
       if (this._isPrimitiveArray(node)) {
-        output.push(this._formatPrimitiveArray(node, prefix));
+        output.push(this._formatPrimitiveArray(node, prefix, config) + marker);
         return;
       }
       
       // Fall back to current format for mixed/non-uniform arrays
       node.forEach((item, index) => {
         const newPrefix = `${prefix}[${index}]`;
-        this._flatten(item, newPrefix, output);
+        this._flatten(item, newPrefix, output, itemSchema, config);
       });
+      if (marker && output.length > 0) {
+        output[output.length - 1] += marker;
+      }
     } else {
       // It's a primitive value (string, number, boolean, null)
       if (!prefix) prefix = 'value'; // Handle root-level value
-      output.push(`${prefix}:${String(node)}`);
+      output.push(`${prefix}:${this._escapeScalar(node, config)}`);
     }
   }
 
   /**
-   * Generates abbreviations for frequently repeated prefixes.
+   * Plans abbreviations for repeated path prefixes. Prefixes end at a `.`
+   * or `[`, so `orders[0].sku` and `orders[1].sku` share `orders`. Among
+   * the prefixes starting at least abbreviationThreshold paths, picks the
+   * set with the largest net saving in tokens (the client's tokenizer):
+   * each path is shortened by its longest abbreviated prefix, and each
+   * definition costs its line, written relative to an enclosing
+   * abbreviation when that is cheaper ("@p=@c.profile"). Aliases are unique and never match a top-level key
+   * that starts with "@", so the output always decodes.
    * @param {Array<string>} paths - Array of flattened paths
    * @returns {Object} Object with abbreviation map and definitions array
    * @private
    */
-  _generateAbbreviations(paths) {
-    if (!this._config.enableAbbreviations) {
+  _generateAbbreviations(paths, config = this._config) {
+    if (!config.enableAbbreviations) {
       return { map: new Map(), definitions: [] };
     }
 
-    // Count prefix frequencies
+    // Count the paths under each prefix (e.g. "user", "user.name", "orders[0]")
     const prefixCounts = new Map();
-    
-    paths.forEach(path => {
-      // Extract all prefixes (e.g., "user", "user.name", "order.items")
-      const parts = path.split('.');
-      for (let i = 1; i < parts.length; i++) {
-        const prefix = parts.slice(0, i).join('.');
-        prefixCounts.set(prefix, (prefixCounts.get(prefix) || 0) + 1);
-      }
+    const pathPrefixLists = paths.map(path => {
+      const prefixes = pathPrefixes(path);
+      prefixes.forEach(prefix => prefixCounts.set(prefix, (prefixCounts.get(prefix) || 0) + 1));
+      return prefixes;
     });
 
-    // Filter prefixes that meet threshold
-    const frequentPrefixes = Array.from(prefixCounts.entries())
-      .filter(([prefix, count]) => count >= this._config.abbreviationThreshold)
-      .sort((a, b) => {
-        // Sort by: 1) count (desc), 2) length (asc) - prefer shorter, more frequent
-        if (b[1] !== a[1]) return b[1] - a[1];
-        return a[0].length - b[0].length;
-      });
+    // Candidates, most valuable first. An ancestor starts at least as many
+    // paths as its descendants, so candidates form a tree.
+    const candidates = Array.from(prefixCounts)
+      .filter(([prefix, count]) => count >= config.abbreviationThreshold)
+      .sort((a, b) => b[1] * b[0].length - a[1] * a[0].length || (a[0] < b[0] ? -1 : 1))
+      .map(([prefix]) => prefix);
+    if (candidates.length === 0) {
+      return { map: new Map(), definitions: [] };
+    }
+
+    // "@type:Person" must not read as alias "type"
+    const reserved = new Set(paths.filter(path => path.startsWith('@')).map(path => /^@([^.[]*)/.exec(path)[1]));
+    const assignAliases = prefixes => {
+      const usedAbbrs = new Set(reserved);
+      const counter = { next: 0 };
+      return new Map(prefixes.map(prefix => [prefix, this._generateAbbreviation(prefix, usedAbbrs, counter)]));
+    };
+    // Tentative aliases give the planner realistic alias lengths
+    let aliases = assignAliases(candidates);
+
+    // Each candidate's parent is its longest candidate prefix; each path
+    // belongs to its longest candidate prefix
+    const nodes = new Map(candidates.map(prefix => [prefix, { prefix, children: [], paths: 0, best: new Map() }]));
+    const longestCandidate = prefixes => prefixes.reduceRight((found, prefix) => found || nodes.get(prefix), null);
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = longestCandidate(pathPrefixes(node.prefix));
+      (parent ? parent.children : roots).push(node);
+    });
+    pathPrefixLists.forEach(prefixes => {
+      const owner = longestCandidate(prefixes);
+      if (owner) owner.paths++;
+    });
 
-    // Generate abbreviations
+    // Savings and costs are counted in tokens with the client's tokenizer
+    const tokens = text => this._tokenizer.count(text);
+    // "prefix" -> "@x" saves this much on each path under it
+    const gain = node => (node ? tokens(node.prefix) - tokens(`@${aliases.get(node.prefix)}`) : 0);
+    // "@x=prefix\n", or "@x=@a.rest\n" relative to the enclosing abbreviation
+    const definitionCost = (node, enclosing) => {
+      const alias = aliases.get(node.prefix);
+      const relative = enclosing ? `@${aliases.get(enclosing.prefix)}${node.prefix.substring(enclosing.prefix.length)}` : node.prefix;
+      return Math.min(tokens(`@${alias}=${node.prefix}\n`), tokens(`@${alias}=${relative}\n`));
+    };
+
+    // Best net saving of a subtree, given the closest abbreviated ancestor
+    const best = (node, enclosing) => {
+      if (!node.best.has(enclosing)) {
+        const sum = (parent) => node.children.reduce((total, child) => total + best(child, parent).saving, 0);
+        const skip = node.paths * gain(enclosing) + sum(enclosing);
+        const take = node.paths * gain(node) + sum(node) - definitionCost(node, enclosing);
+        node.best.set(enclosing, take > skip ? { saving: take, take: true } : { saving: skip, take: false });
+      }
+      return node.best.get(enclosing);
+    };
+    const chosen = [];
+    const collect = (node, enclosing) => {
+      const { take } = best(node, enclosing);
+      if (take) chosen.push(node.prefix);
+      node.children.forEach(child => collect(child, take ? node : enclosing));
+    };
+    roots.forEach(root => collect(root, null));
+
+    // Final aliases: the chosen prefixes, most valuable first, get the shortest
+    const chosenSet = new Set(chosen);
+    aliases = assignAliases(candidates.filter(prefix => chosenSet.has(prefix)));
     const abbreviationMap = new Map();
     const definitions = [];
-    let abbrCounter = 0;
-    const usedAbbrs = new Set();
-
-    frequentPrefixes.forEach(([prefix, count]) => {
-      // Calculate savings: (prefix.length - abbr.length) * count
-      // Only abbreviate if it saves tokens
-      const abbr = this._generateAbbreviation(prefix, abbrCounter, usedAbbrs);
-      const definitionCost = prefix.length + abbr.length + 3; // "@x=prefix"
-      const savings = (prefix.length - abbr.length - 1) * count; // -1 for "@"
-      
-      // Only create abbreviation if it saves tokens (accounting for definition)
-      if (savings > definitionCost) {
-        abbreviationMap.set(prefix, abbr);
-        definitions.push(`@${abbr}=${prefix}`);
-        abbrCounter++;
-      }
+    // Shorter prefixes first, so enclosing definitions come before nested ones
+    chosen.sort((a, b) => a.length - b.length).forEach(prefix => {
+      const alias = aliases.get(prefix);
+      const enclosing = pathPrefixes(prefix).reduceRight((found, candidate) => found || (abbreviationMap.has(candidate) ? candidate : null), null);
+      const relative = enclosing ? `@${abbreviationMap.get(enclosing)}${prefix.substring(enclosing.length)}` : prefix;
+      abbreviationMap.set(prefix, alias);
+      definitions.push(`@${alias}=${this._tokenizer.count(relative) < this._tokenizer.count(prefix) ? relative : prefix}`);
     });
 
     return { map: abbreviationMap, definitions };
   }
 
   /**
-   * Generates a short abbreviation for a prefix.
+   * Generates a short abbreviation for a prefix that is not in usedAbbrs.
    * @param {string} prefix - The prefix to abbreviate
-   * @param {number} counter - Counter for fallback abbreviations
-   * @param {Set<string>} usedAbbrs - Set of already used abbreviations
+   * @param {Set<string>} usedAbbrs - Aliases already taken (the new one is added)
+   * @param {{next: number}} [counter] - Where the counter fallback resumes; share it across
+   *   calls with the same usedAbbrs so the search doesn't restart at "a" each time
    * @returns {string} The abbreviation
    * @private
    */
-  _generateAbbreviation(prefix, counter, usedAbbrs) {
+  _generateAbbreviation(prefix, usedAbbrs, counter = { next: 0 }) {
     // Strategy 1: Use first letter if available and not used
-    const firstLetter = prefix.split('.')[0][0].toLowerCase();
-    if (!usedAbbrs.has(firstLetter)) {
+    // Quoted keys ("a.b") contribute their first letter or digit; indexes are skipped
+    const parts = splitOutsideQuotes(prefix, '.')
+      .map(part => part.replace(/\[\d*\]/g, '').replace(/[^a-z0-9]/gi, '') || '_');
+    const firstLetter = parts[0][0].toLowerCase();
+    if (/[a-z]/.test(firstLetter) && !usedAbbrs.has(firstLetter)) {
       usedAbbrs.add(firstLetter);
       return firstLetter;
     }
 
     // Strategy 2: Use first letter of each part (e.g., "order.items" -> "oi")
-    const parts = prefix.split('.');
-    if (parts.length > 1) {
+    if (parts.length > 1 && /[a-z]/.test(firstLetter)) {
       const multiLetter = parts.map(p => p[0]).join('').toLowerCase();
       if (!usedAbbrs.has(multiLetter) && multiLetter.length <= 3) {
         usedAbbrs.add(multiLetter);
@@ -307,16 +573,21 @@ export class BrevitClient {
       }
     }
 
-    // Strategy 3: Use counter-based abbreviation (a, b, c, ..., z, aa, ab, ...)
-    let abbr = '';
-    let num = counter;
-    do {
-      abbr = String.fromCharCode(97 + (num % 26)) + abbr; // 97 = 'a'
-      num = Math.floor(num / 26) - 1;
-    } while (num >= 0);
-    
-    usedAbbrs.add(abbr);
-    return abbr;
+    // Strategy 3: First unused counter-based abbreviation (a, b, c, ..., z, aa, ab, ...)
+    // Aliases only get taken, so counters skipped earlier stay taken
+    for (; ; counter.next++) {
+      let abbr = '';
+      let num = counter.next;
+      do {
+        abbr = String.fromCharCode(97 + (num % 26)) + abbr; // 97 = 'a'
+        num = Math.floor(num / 26) - 1;
+      } while (num >= 0);
+      if (!usedAbbrs.has(abbr)) {
+        usedAbbrs.add(abbr);
+        counter.next++;
+        return abbr;
+      }
+    }
   }
 
   /**
@@ -326,56 +597,90 @@ export class BrevitClient {
    * @returns {string} The abbreviated path
    * @private
    */
-  _applyAbbreviations(path, abbreviationMap) {
-    if (!this._config.enableAbbreviations || abbreviationMap.size === 0) {
+  _applyAbbreviations(path, abbreviationMap, config = this._config) {
+    if (!config.enableAbbreviations || abbreviationMap.size === 0) {
       return path;
     }
 
-    // Find the longest matching prefix
-    let bestMatch = '';
-    let bestAbbr = '';
-    
-    for (const [prefix, abbr] of abbreviationMap.entries()) {
-      if (path.startsWith(prefix + '.') && prefix.length > bestMatch.length) {
-        bestMatch = prefix;
-        bestAbbr = abbr;
+    // Use the longest abbreviated prefix ("user" matches "user.name" and "user[0]")
+    const prefixes = pathPrefixes(path);
+    for (let i = prefixes.length - 1; i >= 0; i--) {
+      const abbr = abbreviationMap.get(prefixes[i]);
+      if (abbr !== undefined) {
+        return `@${abbr}${path.substring(prefixes[i].length)}`;
       }
     }
 
-    if (bestMatch) {
-      return `@${bestAbbr}.${path.substring(bestMatch.length + 1)}`;
+    return path;
+  }
+
+  /**
+   * Picks the repeated string values worth writing once in a "$n=value"
+   * legend: a value gets a reference when its occurrences save more
+   * characters than its legend line costs. The most valuable ones get the
+   * shortest references. Once there is a legend, strings that look like
+   * references ("$3") get one too (quoted), so they can't be misread.
+   * @param {any} data - The data about to be flattened
+   * @returns {Object} Object with value map (value -> "$n") and definitions array
+   * @private
+   */
+  _generateValueDictionary(data, config = this._config) {
+    const candidates = Array.from(countStrings(data), ([value, count]) => ({
+      value,
+      count,
+      text: VALUE_REFERENCE.test(value) ? this._quote(value, config) : this._escapeScalar(value, config),
+    }))
+      // Legend lines are single lines
+      .filter(({ value }) => !/[\n\r]/.test(value))
+      .sort((a, b) => b.count * b.text.length - a.count * a.text.length);
+
+    const valueMap = new Map();
+    const definitions = [];
+    const define = (value, text) => {
+      const ref = `$${valueMap.size + 1}`;
+      valueMap.set(value, ref);
+      definitions.push(`${ref}=${text}`);
+    };
+    candidates.forEach(({ value, count, text }) => {
+      const refLength = String(valueMap.size + 1).length + 1;
+      const savings = (text.length - refLength) * count;
+      const definitionCost = refLength + text.length + 2; // "$n=value\n"
+      if (savings > definitionCost) define(value, text);
+    });
+    if (valueMap.size > 0) {
+      candidates.forEach(({ value, text }) => {
+        if (VALUE_REFERENCE.test(value) && !valueMap.has(value)) define(value, text);
+      });
     }
 
-    return path;
+    return { map: valueMap, definitions };
   }
 
   /**
    * Flattens a JS object into a token-efficient string with tabular optimization and abbreviations.
+   * With a schema, fields equal to their default are omitted and described
+   * fields are listed in a "# path: description" legend at the top. With an
+   * abbreviationDictionary, its aliases are used and not defined in the output.
+   * With enableValueDictionary, repeated strings are written as "$n" references.
    * @param {object} obj - The object to flatten.
+   * @param {Object} [schema] - Compiled schema (see compileSchema).
    * @returns {string} The flattened string.
    * @private
    */
-  _flattenObject(obj) {
+  _flattenObject(obj, schema = null, config = this._config) {
+    let data = applySchema(obj, schema);
+    const values = config.enableValueDictionary
+      ? this._generateValueDictionary(data, config)
+      : { map: new Map(), definitions: [] };
+    if (values.map.size > 0) data = replaceStrings(data, values.map);
+
     const output = [];
-    this._flatten(obj, '', output);
-    
-    // Extract paths from output (before values)
-    const paths = output.map(line => {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex > 0) {
-        const pathPart = line.substring(0, colonIndex);
-        // Handle tabular arrays: "key[count]{fields}:"
-        const bracketIndex = pathPart.indexOf('[');
-        if (bracketIndex > 0) {
-          return pathPart.substring(0, bracketIndex);
-        }
-        return pathPart;
-      }
-      return line.split(':')[0];
-    });
+    this._flatten(data, '', output, schema, config);
 
-    // Generate abbreviations
-    const { map: abbreviationMap, definitions } = this._generateAbbreviations(paths);
+    // Generate abbreviations, unless a dictionary fixes them
+    const { map: abbreviationMap, definitions } = config.abbreviationDictionary
+      ? { map: dictionaryToMap(config.abbreviationDictionary), definitions: [] }
+      : this._generateAbbreviations(output.map(flattenedPath), config);
 
     // Apply abbreviations to output
     const abbreviatedOutput = output.map(line => {
@@ -384,40 +689,61 @@ export class BrevitClient {
       // 2. "key[count]:value1,value2"
       // 3. "key[count]{fields}:\nrow1\nrow2"
       
-      const colonIndex = line.indexOf(':');
+      const colonIndex = indexOfPathEnd(line);
       if (colonIndex === -1) return line;
       
       const pathPart = line.substring(0, colonIndex);
       const valuePart = line.substring(colonIndex);
-      
-      // Handle tabular arrays - abbreviate the base path
-      const bracketIndex = pathPart.indexOf('[');
-      if (bracketIndex > 0) {
-        const basePath = pathPart.substring(0, bracketIndex);
-        const rest = pathPart.substring(bracketIndex);
-        const abbreviatedBase = this._applyAbbreviations(basePath, abbreviationMap);
-        return abbreviatedBase + rest + valuePart;
-      }
-      
-      const abbreviatedPath = this._applyAbbreviations(pathPart, abbreviationMap);
-      return abbreviatedPath + valuePart;
+
+      // Arrays and tabular headers - abbreviate the base path
+      const [basePath, suffix] = splitArraySuffix(pathPart);
+      return this._applyAbbreviations(basePath, abbreviationMap, config) + suffix + valuePart;
     });
 
-    // Combine: definitions first, then abbreviated output
-    if (definitions.length > 0) {
-      return definitions.join('\n') + '\n' + abbreviatedOutput.join('\n');
+    // Combine: legend and definitions first, then abbreviated output
+    const header = [...schemaLegend(obj, schema), ...definitions, ...values.definitions];
+    if (header.length > 0) {
+      return header.join('\n') + '\n' + abbreviatedOutput.join('\n');
     }
     
     return abbreviatedOutput.join('\n');
   }
 
+  /**
+   * Prunes an object to the configured jsonPathsToKeep, then removes
+   * jsonPathsToDrop. Arrays are compacted, so kept elements stay in order.
+   * @param {object} obj - The object to filter (not modified).
+   * @returns {object} The filtered copy.
+   * @private
+   */
+  _filterObject(obj, config = this._config) {
+    const keep = config.jsonPathsToKeep || [];
+    const drop = config.jsonPathsToDrop || [];
+    let result;
+
+    if (keep.length === 0) {
+      result = cloneJsonData(obj);
+    } else {
+      const holder = {};
+      keep.forEach(selector => {
+        selectJsonPaths(obj, parseJsonPath(selector)).forEach(path => {
+          assignPath(holder, path, cloneJsonData(getPath(obj, path)));
+        });
+      });
+      // Nothing matched: keep the root container type
+      result = holder.root === undefined ? (Array.isArray(obj) ? [] : {}) : holder.root;
+    }
+
+    return removeJsonPaths(result, drop);
+  }
+
   /**
    * Analyzes data structure to determine the best optimization strategy.
    * @param {any} data - The data to analyze
    * @returns {Object} Analysis result with recommended strategy
    * @private
    */
-  _analyzeDataStructure(data) {
+  _analyzeDataStructure(data, config = this._config) {
     const analysis = {
       type: null,
       depth: 0,
@@ -430,6 +756,12 @@ export class BrevitClient {
       complexity: 'simple'
     };
 
+    // Binary data is not walked byte by byte
+    if (this._isImageData(data)) {
+      analysis.type = 'image';
+      return analysis;
+    }
+
     const analyze = (node, depth = 0, path = '') => {
       analysis.depth = Math.max(analysis.depth, depth);
       
@@ -442,7 +774,7 @@ export class BrevitClient {
         analysis.arrayCount++;
         
         // Check for uniform object arrays
-        const uniformCheck = this._isUniformObjectArray(node);
+        const uniformCheck = this._getTabularColumns(node, null, config);
         if (uniformCheck) {
           analysis.hasUniformArrays = true;
         }
@@ -480,9 +812,7 @@ export class BrevitClient {
     
     // Determine type
     if (typeof data === 'string') {
-      analysis.type = data.length > this._config.longTextThreshold ? 'longText' : 'text';
-    } else if (data instanceof ArrayBuffer || data instanceof Uint8Array) {
-      analysis.type = 'image';
+      analysis.type = data.length > config.longTextThreshold ? 'longText' : 'text';
     } else if (Array.isArray(data)) {
       analysis.type = 'array';
     } else if (typeof data === 'object' && data !== null) {
@@ -495,19 +825,26 @@ export class BrevitClient {
   }
 
   /**
-   * Selects the best optimization strategy based on data analysis.
+   * Scores the strategies that apply to the data, best first. Built-in
+   * strategies compete with registered custom strategies; disabled
+   * strategies and built-ins overridden by a custom strategy of the same
+   * name are skipped. Each name appears once, with its best score. When
+   * nothing applies, Flatten is the fallback (a registered override of it
+   * if there is one).
    * @param {Object} analysis - Data structure analysis
-   * @returns {Object} Strategy configuration
+   * @param {any} data - The normalized input (passed to custom analyzers)
+   * @returns {Object[]} Strategy configurations, highest score first
+   * @throws {Error} When nothing applies and the Flatten fallback is disabled
    * @private
    */
-  _selectOptimalStrategy(analysis) {
+  _rankStrategies(analysis, data, config = this._config) {
     // Strategy scoring: higher score = better fit
     const strategies = [];
     
     // Strategy 1: Flatten with tabular optimization (best for uniform arrays)
     if (analysis.hasUniformArrays || analysis.hasPrimitiveArrays) {
       strategies.push({
-        name: 'Flatten',
+        name: BrevityStrategy.Flatten,
         jsonMode: JsonOptimizationMode.Flatten,
         score: analysis.hasUniformArrays ? 100 : 80,
         reason: analysis.hasUniformArrays 
@@ -519,7 +856,7 @@ export class BrevitClient {
     // Strategy 2: Standard flatten (good for nested objects)
     if (analysis.hasNestedObjects || analysis.complexity === 'moderate') {
       strategies.push({
-        name: 'Flatten',
+        name: BrevityStrategy.Flatten,
         jsonMode: JsonOptimizationMode.Flatten,
         score: 70,
         reason: 'Nested objects detected - flatten format optimal'
@@ -529,7 +866,7 @@ export class BrevitClient {
     // Strategy 3: YAML (good for readable structures)
     if (analysis.complexity === 'moderate' && !analysis.hasUniformArrays) {
       strategies.push({
-        name: 'ToYaml',
+        name: BrevityStrategy.ToYaml,
         jsonMode: JsonOptimizationMode.ToYaml,
         score: 60,
         reason: 'Moderate complexity - YAML format may be more readable'
@@ -539,8 +876,8 @@ export class BrevitClient {
     // Strategy 4: Text optimization (for long text)
     if (analysis.type === 'longText') {
       strategies.push({
-        name: 'TextOptimization',
-        textMode: this._config.textMode,
+        name: BrevityStrategy.TextOptimization,
+        textMode: config.textMode,
         score: 90,
         reason: 'Long text detected - summarization recommended'
       });
@@ -549,26 +886,104 @@ export class BrevitClient {
     // Strategy 5: Image optimization (for image data)
     if (analysis.type === 'image') {
       strategies.push({
-        name: 'ImageOptimization',
-        imageMode: this._config.imageMode,
+        name: BrevityStrategy.ImageOptimization,
+        imageMode: config.imageMode,
         score: 100,
-        reason: 'Image data detected - OCR recommended'
+        reason: config.imageMode === ImageOptimizationMode.Metadata
+          ? 'Image data detected - metadata extraction recommended'
+          : 'Image data detected - OCR recommended'
       });
     }
     
-    // Select highest scoring strategy
-    if (strategies.length === 0) {
-      return {
-        name: 'Flatten',
+    // Drop disabled built-ins and those replaced by a custom strategy
+    const candidates = strategies.filter(strategy =>
+      !this._disabledStrategies.has(strategy.name) && !this._strategies.has(strategy.name)
+    );
+
+    // Custom strategies score themselves; a score of 0 means "not applicable"
+    this._strategies.forEach(({ analyzer, optimizer }, name) => {
+      if (this._disabledStrategies.has(name)) return;
+      const result = analyzer(data, analysis);
+      const { score, reason } = typeof result === 'number' ? { score: result } : (result || {});
+      if (typeof score === 'number' && score > 0) {
+        candidates.push({ name, score, reason: reason || `Custom strategy "${name}"`, optimizer });
+      }
+    });
+
+    if (candidates.length === 0) {
+      if (this._disabledStrategies.has(BrevityStrategy.Flatten)) {
+        throw new Error('[Brevit] No enabled strategy applies to this data, and the Flatten fallback is disabled.');
+      }
+      // A registered "Flatten" replaces the built-in fallback too
+      if (this._strategies.has(BrevityStrategy.Flatten)) {
+        const { optimizer } = this._strategies.get(BrevityStrategy.Flatten);
+        return [{ name: BrevityStrategy.Flatten, score: 50, reason: 'Default flatten strategy', optimizer }];
+      }
+      return [{
+        name: BrevityStrategy.Flatten,
         jsonMode: JsonOptimizationMode.Flatten,
         score: 50,
         reason: 'Default flatten strategy'
-      };
+      }];
     }
-    
-    return strategies.reduce((best, current) => 
-      current.score > best.score ? current : best
-    );
+
+    // Highest score first; ties keep registration order
+    const seen = new Set();
+    return candidates
+      .map((strategy, index) => ({ strategy, index }))
+      .sort((a, b) => b.strategy.score - a.strategy.score || a.index - b.index)
+      .map(({ strategy }) => strategy)
+      .filter(strategy => !seen.has(strategy.name) && seen.add(strategy.name));
+  }
+
+  /**
+   * Selects the best optimization strategy based on data analysis.
+   * @param {Object} analysis - Data structure analysis
+   * @param {any} data - The normalized input (passed to custom analyzers)
+   * @returns {Object} Strategy configuration
+   * @private
+   */
+  _selectOptimalStrategy(analysis, data, config = this._config) {
+    return this._rankStrategies(analysis, data, config)[0];
+  }
+
+  /**
+   * Prepares brevity() input: parses JSON strings and normalizes objects
+   * (Dates, Maps, cycles, ...); text and image data are kept as-is.
+   * @param {any} rawData - The input
+   * @returns {any} The normalized input (a primitive for non-object data)
+   * @private
+   */
+  _prepareBrevityInput(rawData) {
+    if (typeof rawData === 'string') {
+      const trimmed = rawData.trim();
+      if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || 
+          (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+        try {
+          return JSON.parse(rawData);
+        } catch (e) {
+          // Not JSON - treat as text
+        }
+      }
+      return rawData;
+    }
+    if (typeof rawData !== 'object' || rawData === null || this._isImageData(rawData)) {
+      return rawData;
+    }
+    return normalizeData(rawData);
+  }
+
+  /**
+   * Analyzes data the way brevity() does before choosing a strategy.
+   * @param {any} data - The data (object, JSON string, text, ArrayBuffer).
+   * @param {Object} [options] - Config overrides for this call (e.g. longTextThreshold).
+   * @returns {Object} Analysis: `type` ('object', 'array', 'text', 'longText',
+   *   'image' or 'primitive'), `depth`, `complexity`, `arrayCount`,
+   *   `objectCount`, `textLength`, `hasUniformArrays`, `hasPrimitiveArrays`
+   *   and `hasNestedObjects`.
+   */
+  analyze(data, options = {}) {
+    return this._analyzeDataStructure(this._prepareBrevityInput(data), this._resolveCallOptions(options).config);
   }
 
   /**
@@ -577,193 +992,4599 @@ export class BrevitClient {
    * appropriate optimization methods automatically.
    *
    * @param {any} rawData - The data to optimize (object, JSON string, text, ArrayBuffer).
-   * @param {string} [intent] - (Optional) A hint about the user's goal.
-   * @returns {Promise<string>} A promise that resolves to the optimized string.
+   * @param {string|Object} [intent] - (Optional) A hint about the user's goal, or the per-call options.
+   * @param {Object} [options] - (Optional) Per-call options; BrevitConfig options override the
+   *   config for this call, as in optimize().
+   * @param {AbortSignal} [options.signal] - Cancels backend requests.
+   * @param {boolean} [options.explain] - Resolve to an explanation object instead of the string.
+   * @returns {Promise<string|Object>} A promise that resolves to the optimized string, or with
+   *   `explain`, to `{ output, strategy, reason, alternatives, analysis, inputSize, outputSize, savings }`.
    */
-  async brevity(rawData, intent = null) {
-    // Normalize input to object for analysis
-    let inputObject = null;
-    let inputType = typeof rawData;
-    
-    if (inputType === 'string') {
-      try {
-        const trimmed = rawData.trim();
-        if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || 
-            (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
-          inputObject = JSON.parse(rawData);
-        } else {
-          // It's plain text - analyze and optimize
-          const analysis = this._analyzeDataStructure(rawData);
-          const strategy = this._selectOptimalStrategy(analysis);
-          
-          if (strategy.name === 'TextOptimization') {
-            return await this._textOptimizer(rawData, intent);
-          }
-          return rawData;
-        }
-      } catch (e) {
-        // Not JSON - treat as text
-        const analysis = this._analyzeDataStructure(rawData);
-        const strategy = this._selectOptimalStrategy(analysis);
-        
-        if (strategy.name === 'TextOptimization') {
-          return await this._textOptimizer(rawData, intent);
-        }
-        return rawData;
-      }
-    } else if (inputType === 'object' && rawData !== null) {
-      // Check if it's image data
-      if (rawData instanceof ArrayBuffer || 
-          rawData instanceof Uint8Array ||
-          (rawData.constructor && rawData.constructor.name === 'Buffer')) {
-        return await this._imageOptimizer(rawData, intent);
+  async brevity(rawData, intent = null, options = {}) {
+    const call = this._resolveCallOptions(intent, options);
+    const input = this._redact(this._prepareBrevityInput(rawData), call.options, call.config);
+    const analysis = this._analyzeDataStructure(input, call.config);
+    // Primitives are returned as-is
+    const ranked = input !== null && (typeof input === 'object' || typeof input === 'string')
+      ? this._rankStrategies(analysis, input, call.config)
+      : [];
+    const output = ranked.length > 0
+      ? await this._applyStrategy(ranked[0], input, analysis, call.intent, call.options, call.config)
+      : String(input);
+    if (!call.options.explain) return output;
+
+    // Sizes in tokens; the input is measured as minified JSON, images are not measured
+    const [strategy, ...alternatives] = ranked;
+    const inputSize = this._isImageData(input)
+      ? null
+      : this._tokenizer.count(typeof input === 'string' ? input : JSON.stringify(input) ?? String(input));
+    const outputSize = this._tokenizer.count(output);
+    return {
+      output,
+      strategy: strategy ? strategy.name : null,
+      reason: strategy ? strategy.reason : 'Primitive value - returned as-is',
+      alternatives: alternatives.map(({ name, score, reason }) => ({ name, score, reason })),
+      analysis,
+      inputSize,
+      outputSize,
+      savings: inputSize ? Math.round((1 - outputSize / inputSize) * 1000) / 10 : inputSize === 0 ? 0 : null,
+    };
+  }
+
+  /**
+   * Runs the strategy brevity() selected.
+   * @param {Object} strategy - Strategy configuration
+   * @param {any} input - Normalized input
+   * @param {Object} analysis - Data structure analysis
+   * @param {string} [intent] - Hint about the user's goal
+   * @param {Object} options - Per-call options
+   * @param {BrevitConfig} config - Effective config for this call
+   * @returns {Promise<string>} The optimized string
+   * @private
+   */
+  async _applyStrategy(strategy, input, analysis, intent, options, config) {
+    // Custom strategies bring their own optimizer
+    if (strategy.optimizer) {
+      return await this._fitTextToBudget(await strategy.optimizer(input, intent, analysis), intent, true, config);
+    }
+
+    if (typeof input === 'string') {
+      if (strategy.name === BrevityStrategy.TextOptimization) {
+        return await this._fitTextToBudget(await this._optimizeText(input, intent, options, config), intent, true, config);
       }
-      inputObject = rawData;
-    } else {
-      // Primitive - return as-is
-      return String(rawData);
+      return await this._fitTextToBudget(input, intent, false, config);
+    }
+
+    if (analysis.type === 'image') {
+      const text = this._redact(await this._optimizeImage(input, intent, options, config), options, config);
+      return await this._fitTextToBudget(text, intent, true, config);
     }
     
-    // Analyze the data structure
-    const analysis = this._analyzeDataStructure(inputObject);
-    const strategy = this._selectOptimalStrategy(analysis);
-    
-    // Apply the selected strategy
-    const tempConfig = new BrevitConfig({
-      ...this._config,
-      jsonMode: strategy.jsonMode || this._config.jsonMode,
-      textMode: strategy.textMode || this._config.textMode,
-      imageMode: strategy.imageMode || this._config.imageMode
+    // Apply the selected strategy to a copy of the config; the client's
+    // config is never modified, so concurrent calls can't see each other's.
+    // The input is already redacted.
+    const strategyConfig = new BrevitConfig({
+      ...config,
+      jsonMode: strategy.jsonMode || config.jsonMode,
+      textMode: strategy.textMode || config.textMode,
+      imageMode: strategy.imageMode || config.imageMode,
+      redact: null,
     });
-    
-    // Temporarily override config for this optimization
-    const originalConfig = this._config;
-    this._config = tempConfig;
-    
-    try {
-      // Use the existing optimize method with the selected strategy
-      return await this.optimize(inputObject, intent);
-    } finally {
-      // Restore original config
-      this._config = originalConfig;
-    }
+    return await this._optimize(input, intent, options, strategyConfig);
   }
 
   /**
    * Registers a custom optimization strategy for the brevity method.
    * This allows extending Brevit with new optimization strategies.
+   * The analyzer receives the normalized input and the structure analysis
+   * and returns a score (0-100, or `{ score, reason }`); the highest score
+   * across built-in and custom strategies wins. Registering a built-in name
+   * (see BrevityStrategy) overrides that built-in.
    *
    * @param {string} name - Strategy name
-   * @param {Function} analyzer - Function that analyzes data and returns score (0-100)
-   * @param {Function} optimizer - Function that optimizes the data
+   * @param {Function} analyzer - `(data, analysis) => number | { score, reason }`; 0 means not applicable
+   * @param {Function} optimizer - `async (data, intent, analysis) => string`, called when the strategy wins
    * @example
    * brevit.registerStrategy('custom', (data) => ({ score: 85, reason: 'Custom logic' }), async (data) => { ... });
    */
   registerStrategy(name, analyzer, optimizer) {
-    if (!this._strategies) {
-      this._strategies = new Map();
+    if (typeof analyzer !== 'function' || typeof optimizer !== 'function') {
+      throw new TypeError(`[Brevit] Strategy "${name}" needs an analyzer and an optimizer function.`);
     }
     this._strategies.set(name, { analyzer, optimizer });
   }
 
   /**
-   * The primary method. Optimizes any JS object, JSON string,
-   * or text into a token-efficient string.
+   * Removes a custom strategy registered with registerStrategy.
+   * A built-in it overrode becomes active again.
    *
-   * @param {any} rawData - The data to optimize (object, JSON string, text, ArrayBuffer).
-   * @param {string} [intent] - (Optional) A hint about the user's goal.
-   * @returns {Promise<string>} A promise that resolves to the optimized string.
+   * @param {string} name - Strategy name
+   * @returns {boolean} True if a strategy was removed
    */
-  async optimize(rawData, intent = null) {
-    let inputObject = null;
-    let inputType = typeof rawData;
-
-    if (inputType === 'string') {
-      // Could be JSON string or just text
-      try {
-        const trimmed = rawData.trim();
-        if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || 
-            (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
-          inputObject = JSON.parse(rawData);
-        }
-      } catch (e) {
-        // It's not a JSON string, treat as text
-      }
-
-      if (!inputObject) {
-        // It's text
-        if (rawData.length > this._config.longTextThreshold) {
-          // It's long text, apply text optimization
-          return await this._textOptimizer(rawData, intent);
-        }
-        // It's short text, return as-is
-        return rawData;
-      }
-    } else if (inputType === 'object' && rawData !== null) {
-      // Check if it's an ArrayBuffer or TypedArray (image data)
-      if (rawData instanceof ArrayBuffer || 
-          rawData instanceof Uint8Array ||
-          (rawData.constructor && rawData.constructor.name === 'Buffer')) {
-        return await this._imageOptimizer(rawData, intent);
-      }
-      // It's a plain JS object
-      inputObject = rawData;
-    } else {
-      // Other primitives, return as-is
-      return String(rawData);
-    }
-
-    // If we're here, we have an object (from JSON or POJO)
-    // Now apply the configured JSON optimization
-    switch (this._config.jsonMode) {
-      case JsonOptimizationMode.Flatten:
-        return this._flattenObject(inputObject);
-
-      case JsonOptimizationMode.ToYaml:
-        // STUB: Requires a 'js-yaml' library
-        // import YAML from 'js-yaml';
-        // return YAML.dump(inputObject);
-        console.warn('[Brevit] ToYaml mode requires installing a YAML library (e.g., js-yaml).');
-        return JSON.stringify(inputObject, null, 2); // Fallback
-
-      case JsonOptimizationMode.Filter:
-        // STUB: Requires a JSON-path library
-        console.warn('[Brevit] Filter mode is not implemented in this stub.');
-        return JSON.stringify(inputObject); // Fallback
-
-      case JsonOptimizationMode.None:
-      default:
-        return JSON.stringify(inputObject); // Return as unformatted JSON
-    }
+  unregisterStrategy(name) {
+    return this._strategies.delete(name);
   }
 
   /**
-   * Default text optimizer (STUB).
-   * In a frontend, this would likely make an API call to a
-   * backend (C# or Python) that runs Semantic Kernel or LangChain
-   * to do the actual summarization.
-   * @private
+   * Excludes a built-in or custom strategy from brevity() selection.
+   *
+   * @param {string} name - Strategy name (e.g. BrevityStrategy.ToYaml)
    */
-  async _defaultTextOptimizer(longText, intent) {
-    // STUB: A real frontend app would call its backend for this.
-    // NEVER put LLM API keys in a frontend app.
-    console.warn('[Brevit] Text summarization should be done on a secure backend.');
-    const mode = this._config.textMode;
-    const stubSummary = longText.substring(0, 150);
-    return `[${mode} Stub: Summary of text follows...]\n${stubSummary}...\n[End of summary]`;
+  disableStrategy(name) {
+    this._disabledStrategies.add(name);
   }
 
   /**
-   * Default image optimizer (STUB).
-   * In a frontend, this would likely make an API call to a
-   * backend that runs OCR services.
-   * @private
+   * Re-enables a strategy disabled with disableStrategy.
+   *
+   * @param {string} name - Strategy name
    */
-  async _defaultImageOptimizer(imageData, intent) {
-    // STUB: A real frontend app would call its backend for this.
-    console.warn('[Brevit] Image OCR should be done on a secure backend.');
-    const size = imageData instanceof ArrayBuffer ? imageData.byteLength : imageData.length;
-    return `[OCR Stub: Extracted text from image (${size} bytes)]\nSample OCR Text: INVOICE #1234\nTotal: $499.99\n[End of extracted text]`;
+  enableStrategy(name) {
+    this._disabledStrategies.delete(name);
   }
-}
 
+  /**
+   * Plans one set of abbreviations for a batch of documents, counting
+   * prefixes across all of them, so the definitions pay off once for the
+   * whole batch. Use it with the `abbreviationDictionary` option, pinDictionary()
+   * or formatDictionary(); optimizeMany() calls it for you.
+   *
+   * @param {Array} items - Objects or JSON strings (other items are ignored).
+   * @param {Object} [options] - Config overrides for this call (e.g. abbreviationThreshold).
+   * @returns {Object} The dictionary, `{ prefix: alias }` (empty when the
+   *   jsonMode doesn't flatten or abbreviations are disabled).
+   */
+  createDictionary(items, options = {}) {
+    const { config } = this._resolveCallOptions(options, {});
+    const flattens = config.jsonMode === JsonOptimizationMode.Flatten || config.jsonMode === JsonOptimizationMode.Filter;
+    if (!flattens) return {};
+
+    const schema = compileSchema(config.schema);
+    const paths = [];
+    for (const item of items) {
+      const input = this._prepareBrevityInput(item);
+      if (input === null || typeof input !== 'object' || this._isImageData(input)) continue;
+      const data = config.jsonMode === JsonOptimizationMode.Filter ? this._filterObject(input, config) : input;
+      const output = [];
+      this._flatten(applySchema(data, schema), '', output, schema, config);
+      output.forEach(line => paths.push(flattenedPath(line)));
+    }
+    return Object.fromEntries(this._generateAbbreviations(paths, config).map);
+  }
+
+  /**
+   * Optimizes a batch of documents with one shared abbreviation dictionary.
+   * The outputs use the dictionary's aliases without defining them; the
+   * definitions come once, in `definitions`, to be placed above the outputs.
+   * A dictionary given with the `abbreviationDictionary` option (or pinned)
+   * is used as-is instead of planning a new one.
+   *
+   * With the `redact` option, all items share one Redactions (the
+   * `redactions` option, or a new one), so a value gets the same placeholder
+   * in every output; it is returned as `redactions`.
+   *
+   * @param {Array} items - The documents (objects, JSON strings, texts, images).
+   * @param {Object} [options] - Per-call options (intent, signal, redactions, config overrides).
+   * @returns {Promise<Object>} `{ dictionary, definitions, outputs, redactions }`: the
+   *   `{ prefix: alias }` dictionary, its "@x=prefix" lines ('' when empty),
+   *   one output per item, in order, and the Redactions (null without `redact`).
+   */
+  async optimizeMany(items, options = {}) {
+    const call = this._resolveCallOptions(options, {});
+    const dictionary = call.config.abbreviationDictionary || this.createDictionary(items, options);
+    const config = new BrevitConfig({ ...call.config, abbreviationDictionary: dictionary });
+    const callOptions = shareRedactions(call.options, config);
+    const outputs = await Promise.all(items.map(item => this._optimize(item, call.intent, callOptions, config)));
+    return { dictionary, definitions: formatDictionary(dictionary), outputs, redactions: callOptions.redactions || null };
+  }
+
+  /**
+   * Pins an abbreviation dictionary on the client: every later call uses
+   * these aliases (and only these) and leaves their definitions out of the
+   * output, so the outputs stay stable for prompt caching. Send the
+   * definitions (see formatDictionary) once, e.g. in the system prompt.
+   *
+   * @param {Object|null} dictionary - `{ prefix: alias }`, e.g. from
+   *   createDictionary(); null unpins it.
+   * @throws {TypeError} For an invalid dictionary
+   */
+  pinDictionary(dictionary) {
+    if (dictionary !== null) dictionaryToMap(dictionary);
+    this._config = new BrevitConfig({ ...this._config, abbreviationDictionary: dictionary });
+  }
+
+  /**
+   * Builds an LLM prompt context from named inputs: each input is optimized,
+   * wrapped in a labeled section, and a legend explaining the notations used
+   * is prepended. See BrevitPrompt.
+   *
+   * @param {Object|Array} inputs - `{ name: data }`, or `[{ name, data, ...options }]`
+   *   where options are per-input optimize() options (intent, jsonMode, ...).
+   * @param {Object} [options]
+   * @param {string} [options.format='text'] - 'text' for one string, 'parts' for chat message content parts.
+   * @param {string} [options.intent] - Intent for every input.
+   * @param {boolean} [options.legend=true] - Prepend the format legend.
+   * @param {string} [options.style='xml'] - Section labels: 'xml' or 'markdown'.
+   * @param {Redactions} [options.redactions] - Collects the placeholders of the `redact` option, for restore().
+   * @returns {Promise<string|Array<{type: 'text', text: string}>>} The context.
+   */
+  async buildContext(inputs, { format = 'text', ...options } = {}) {
+    if (format !== 'text' && format !== 'parts') {
+      throw new TypeError(`[Brevit] Unknown context format "${format}"; use 'text' or 'parts'`);
+    }
+    const prompt = new BrevitPrompt(this, options);
+    if (Array.isArray(inputs)) {
+      for (const { name, data, ...inputOptions } of inputs) prompt.add(name, data, inputOptions);
+    } else {
+      for (const [name, data] of Object.entries(inputs)) prompt.add(name, data);
+    }
+    const context = format === 'parts' ? await prompt.buildParts() : await prompt.build();
+    if (!options.redactions && prompt.redactions.size > 0) this._warnUnrestorable();
+    return context;
+  }
+
+  /**
+   * Optimizes an OpenAI- or Anthropic-style chat message array. Tool results
+   * (`role: 'tool'` messages and `tool_result` blocks), function call
+   * arguments and JSON embedded in other texts (a text that is a JSON
+   * object or array, or a ```json block) are optimized; base64 image parts
+   * go through the image optimizer and become text parts when it can read
+   * them (an `imageBackend`, a custom `imageOptimizer` or the Metadata
+   * imageMode), otherwise they are left as they are. A text is only
+   * replaced when its optimized version has fewer tokens. Roles, ids, other
+   * fields and the message order are kept; the input is not modified.
+   *
+   * Anthropic `tool_use` inputs stay objects, as the API requires, and
+   * images given by http(s) URL are left alone.
+   *
+   * With the `redact` option every text is redacted, optimized output is
+   * kept even when it isn't smaller, and all messages share one Redactions
+   * (the `redactions` option, or a new one), returned as `redactions`.
+   *
+   * @param {Array<Object>} messages - The messages
+   * @param {Object} [options] - Per-call options for optimize() (intent, signal, jsonMode, ...), plus:
+   * @param {boolean} [options.auto=false] - Let brevity() pick the strategy for each item instead of optimize().
+   * @param {boolean} [options.images=true] - Replace base64 image parts with the image optimizer's output
+   *   (when there is a backend, a custom optimizer or Metadata mode).
+   * @returns {Promise<Object>} `{ messages, stats, inputSize, outputSize, savings, redactions }`; `stats` has one
+   *   `{ index, role, inputSize, outputSize, savings }` entry per message. Sizes are tokens of the
+   *   serialized message without image data; savings are percentages. `redactions` is null without `redact`.
+   */
+  async optimizeMessages(messages, { auto = false, images = true, ...options } = {}) {
+    if (!Array.isArray(messages)) {
+      throw new TypeError('[Brevit] optimizeMessages() expects an array of messages');
+    }
+    // Reject unknown options before any work starts
+    const { config } = this._resolveCallOptions(options, {});
+    const callOptions = shareRedactions(options, config);
+    const run = data => (auto ? this.brevity(data, callOptions) : this.optimize(data, callOptions));
+    const data = async text => {
+      const output = await run(text);
+      return config.redact || this._tokenizer.count(output) < this._tokenizer.count(text) ? output : text;
+    };
+    // Without a real OCR source the default optimizer would only return stub text
+    const readsImages = Boolean(this._imageBackend || this._options.imageOptimizer) ||
+      config.imageMode === ImageOptimizationMode.Metadata;
+    const handlers = {
+      data,
+      embedded: async text => this._redact(await optimizeEmbeddedJson(text, data), callOptions, config),
+      image: images && readsImages ? run : null,
+    };
+
+    const optimized = await Promise.all(messages.map(message => this._optimizeMessage(message, handlers)));
+    const percent = (inputSize, outputSize) => (inputSize ? Math.round((1 - outputSize / inputSize) * 1000) / 10 : 0);
+    const stats = messages.map((message, index) => {
+      const inputSize = this._tokenizer.count(serializeMessage(message));
+      const outputSize = this._tokenizer.count(serializeMessage(optimized[index]));
+      return { index, role: message && message.role, inputSize, outputSize, savings: percent(inputSize, outputSize) };
+    });
+    const inputSize = stats.reduce((sum, stat) => sum + stat.inputSize, 0);
+    const outputSize = stats.reduce((sum, stat) => sum + stat.outputSize, 0);
+    return {
+      messages: optimized,
+      stats,
+      inputSize,
+      outputSize,
+      savings: percent(inputSize, outputSize),
+      redactions: callOptions.redactions || null,
+    };
+  }
+
+  /**
+   * Optimizes one chat message (see optimizeMessages).
+   * @param {Object} message - The message
+   * @param {Object} handlers - `data` for tool output, `embedded` for other texts, `image` for image bytes (or null)
+   * @returns {Promise<Object>} A copy of the message
+   * @private
+   */
+  async _optimizeMessage(message, handlers) {
+    if (!isPlainObject(message)) return message;
+    const result = { ...message };
+    if ('content' in message) {
+      const isToolResult = message.role === 'tool' || message.role === 'function';
+      result.content = await this._optimizeContent(message.content, isToolResult, handlers);
+    }
+    const withArguments = async call => (call && typeof call.arguments === 'string'
+      ? { ...call, arguments: await handlers.data(call.arguments) }
+      : call);
+    if (Array.isArray(message.tool_calls)) {
+      result.tool_calls = await Promise.all(message.tool_calls.map(async toolCall => (toolCall && toolCall.function
+        ? { ...toolCall, function: await withArguments(toolCall.function) }
+        : toolCall)));
+    }
+    if (message.function_call) {
+      result.function_call = await withArguments(message.function_call);
+    }
+    return result;
+  }
+
+  /**
+   * Optimizes message content: a string or an array of content parts.
+   * Image parts that optimize to nothing (ImageOptimizationMode.None) are dropped.
+   * @param {any} content - The content
+   * @param {boolean} isToolResult - Whether the content is tool output
+   * @param {Object} handlers - See _optimizeMessage
+   * @returns {Promise<any>} The optimized content
+   * @private
+   */
+  async _optimizeContent(content, isToolResult, handlers) {
+    const optimizeText = isToolResult ? handlers.data : handlers.embedded;
+    if (typeof content === 'string') return optimizeText(content);
+    if (!Array.isArray(content)) return content;
+
+    const parts = await Promise.all(content.map(async part => {
+      if (!isPlainObject(part)) return part;
+      if (part.type === 'text' && typeof part.text === 'string') {
+        return { ...part, text: await optimizeText(part.text) };
+      }
+      if (part.type === 'tool_result' && 'content' in part) {
+        return { ...part, content: await this._optimizeContent(part.content, true, handlers) };
+      }
+      const imageData = handlers.image && readImagePart(part);
+      if (!imageData) return part;
+      const text = await handlers.image(imageData);
+      // Keep fields such as cache_control; drop the image itself
+      const { image_url, source, ...rest } = part;
+      return text ? { ...rest, type: 'text', text } : null;
+    }));
+    return parts.filter(part => part !== null);
+  }
+
+  /**
+   * Encodes the same data with every JSON mode (None, Flatten with and
+   * without abbreviations, ToYaml) and reports the size of each output.
+   * Savings are relative to None (minified JSON).
+   *
+   * @param {any} rawData - The object or JSON string to compare.
+   * @returns {Promise<Object>} `{ results, best }`; each result has
+   *   `name`, `output`, `characters`, `tokens` and `savings` (percent).
+   */
+  async compare(rawData) {
+    const variants = [
+      { name: 'None', jsonMode: JsonOptimizationMode.None, enableAbbreviations: false },
+      { name: 'Flatten', jsonMode: JsonOptimizationMode.Flatten, enableAbbreviations: true },
+      { name: 'Flatten (no abbreviations)', jsonMode: JsonOptimizationMode.Flatten, enableAbbreviations: false },
+      { name: 'ToYaml', jsonMode: JsonOptimizationMode.ToYaml, enableAbbreviations: false },
+    ];
+
+    const results = [];
+    for (const { name, jsonMode, enableAbbreviations } of variants) {
+      const output = await this.optimize(rawData, { jsonMode, enableAbbreviations });
+      results.push({
+        name,
+        output,
+        characters: output.length,
+        tokens: this._tokenizer.count(output),
+      });
+    }
+
+    const baseline = results[0].tokens;
+    results.forEach(result => {
+      result.savings = baseline > 0 ? Math.round((1 - result.tokens / baseline) * 1000) / 10 : 0;
+    });
+
+    const best = results.reduce((min, current) => (current.tokens < min.tokens ? current : min));
+    return { results, best };
+  }
+
+  /**
+   * Encodes a stream of records without buffering it. Uniform flat records
+   * become one open-ended tabular block (`key[]{f1,f2}:` followed by a row
+   * per record, closed by a blank line); a record that breaks uniformity is
+   * written in indexed form (`key[i].field:value`) and the next records
+   * start a new block. The output can be read back with decode().
+   *
+   * @param {AsyncIterable|Iterable|string} source - Records, NDJSON text, or
+   *   chunks of NDJSON text (strings or bytes), e.g. a database cursor or a file stream.
+   * @param {Object} [options]
+   * @param {string} [options.key] - Path of the array in the output ('' = root array).
+   * @param {Redactions} [options.redactions] - Collects the placeholders when the client's config sets `redact`.
+   * @returns {AsyncGenerator<string>} Output chunks, each ending with a newline.
+   * @example
+   * for await (const chunk of brevit.optimizeStream(cursor, { key: 'orders' })) {
+   *   process.stdout.write(chunk);
+   * }
+   */
+  async *optimizeStream(source, { key = '', redactions } = {}) {
+    const encoder = new StreamEncoder(this, key, redactions);
+    const parser = new NdjsonParser();
+    const chunks = typeof source === 'string' ? [source] : source;
+
+    for await (const chunk of chunks) {
+      const records = isTextChunk(chunk) ? parser.push(chunk) : [chunk];
+      for (const record of records) {
+        yield encoder.push(record);
+      }
+    }
+    for (const record of parser.end()) {
+      yield encoder.push(record);
+    }
+  }
+
+  /**
+   * Creates a WHATWG TransformStream that encodes records (or NDJSON text
+   * or bytes) written to it, like optimizeStream().
+   *
+   * @param {Object} [options]
+   * @param {string} [options.key] - Path of the array in the output ('' = root array).
+   * @param {Redactions} [options.redactions] - Collects the placeholders when the client's config sets `redact`.
+   * @returns {TransformStream} Writable side takes records or NDJSON chunks; readable side emits strings.
+   */
+  createTransformStream({ key = '', redactions } = {}) {
+    const encoder = new StreamEncoder(this, key, redactions);
+    const parser = new NdjsonParser();
+    return new TransformStream({
+      transform(chunk, controller) {
+        const records = isTextChunk(chunk) ? parser.push(chunk) : [chunk];
+        records.forEach(record => controller.enqueue(encoder.push(record)));
+      },
+      flush(controller) {
+        parser.end().forEach(record => controller.enqueue(encoder.push(record)));
+      },
+    });
+  }
+
+  /**
+   * Creates a Node.js Transform stream (object mode on the writable side)
+   * that encodes records or NDJSON chunks, like optimizeStream().
+   * Node.js only: the 'stream' module is loaded on demand.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.key] - Path of the array in the output ('' = root array).
+   * @param {Redactions} [options.redactions] - Collects the placeholders when the client's config sets `redact`.
+   * @returns {Promise<import('stream').Transform>} The transform stream.
+   * @example
+   * const transform = await brevit.createNodeTransform();
+   * fs.createReadStream('export.ndjson').pipe(transform).pipe(process.stdout);
+   */
+  async createNodeTransform({ key = '', redactions } = {}) {
+    // Specifier kept in a variable so browser bundlers don't try to include it
+    const moduleName = 'stream';
+    const { Transform } = await import(moduleName);
+    const encoder = new StreamEncoder(this, key, redactions);
+    const parser = new NdjsonParser();
+
+    return new Transform({
+      writableObjectMode: true,
+      transform(chunk, encoding, callback) {
+        try {
+          const records = isTextChunk(chunk) ? parser.push(chunk) : [chunk];
+          records.forEach(record => this.push(encoder.push(record)));
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+      flush(callback) {
+        try {
+          parser.end().forEach(record => this.push(encoder.push(record)));
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+    });
+  }
+
+  /**
+   * The primary method. Optimizes any JS object, JSON string,
+   * or text into a token-efficient string.
+   *
+   * Per-call options override the client's config for this call only, so
+   * one client can serve concurrent requests with different settings:
+   * `optimize(data, { intent: 'totals', jsonMode: 'ToYaml' })`. The older
+   * `optimize(data, intent, options)` form takes the same options.
+   *
+   * @param {any} rawData - The data to optimize (object, JSON string, text, ArrayBuffer).
+   * @param {string|Object} [intent] - (Optional) A hint about the user's goal, or the per-call options.
+   * @param {Object} [options] - (Optional) Per-call options.
+   * @param {string} [options.intent] - A hint about the user's goal.
+   * @param {AbortSignal} [options.signal] - Cancels backend requests.
+   * @param {Redactions} [options.redactions] - Collects the placeholders made by the `redact` option,
+   *   for restore(); pass the same one to every call of a conversation to keep them stable.
+   * @param {*} [options.jsonMode] - Any BrevitConfig option (jsonMode, textMode, enableAbbreviations,
+   *   schema, maxTokens, ...) overrides the config for this call.
+   * @returns {Promise<string>} A promise that resolves to the optimized string.
+   */
+  async optimize(rawData, intent = null, options = {}) {
+    const call = this._resolveCallOptions(intent, options);
+    return this._optimize(rawData, call.intent, call.options, call.config);
+  }
+
+  /**
+   * Splits per-call arguments into the intent, the call options and the
+   * effective config. Accepts `(intent, options)` and `({ intent, ...options })`;
+   * options named like BrevitConfig fields override the client's config.
+   * @param {string|Object} intent - Intent, or the options object
+   * @param {Object} options - Options (ignored when `intent` is the options object)
+   * @returns {{intent: string|null, options: Object, config: BrevitConfig}}
+   * @throws {TypeError} For option names that are neither call options nor config fields
+   * @private
+   */
+  _resolveCallOptions(intent, options) {
+    const callOptions = isPlainObject(intent) ? intent : { ...options, intent };
+    const overrides = {};
+    for (const [name, value] of Object.entries(callOptions)) {
+      if (CALL_OPTION_NAMES.has(name) || value === undefined) continue;
+      if (!CONFIG_OPTION_NAMES.has(name)) {
+        throw new TypeError(`[Brevit] Unknown option "${name}"`);
+      }
+      overrides[name] = value;
+    }
+    const config = Object.keys(overrides).length > 0
+      ? new BrevitConfig({ ...this._config, ...overrides })
+      : this._config;
+    return { intent: callOptions.intent ?? null, options: callOptions, config };
+  }
+
+  /**
+   * optimize() with a resolved config.
+   * @param {any} rawData - The data to optimize
+   * @param {string|null} intent - Hint about the user's goal
+   * @param {Object} options - Call options (signal)
+   * @param {BrevitConfig} config - Effective config for this call
+   * @returns {Promise<string>} The optimized string
+   * @private
+   */
+  async _optimize(rawData, intent, options, config) {
+    let inputObject = null;
+    let inputType = typeof rawData;
+
+    if (inputType === 'string') {
+      // Could be JSON string or just text
+      try {
+        const trimmed = rawData.trim();
+        if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || 
+            (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+          inputObject = JSON.parse(rawData);
+        }
+      } catch (e) {
+        // It's not a JSON string, treat as text
+      }
+
+      if (!inputObject) {
+        // It's text
+        rawData = this._redact(rawData, options, config);
+        if (rawData.length > config.longTextThreshold) {
+          // It's long text, apply text optimization
+          return await this._fitTextToBudget(await this._optimizeText(rawData, intent, options, config), intent, true, config);
+        }
+        // It's short text, return as-is
+        return await this._fitTextToBudget(rawData, intent, false, config);
+      }
+    } else if (inputType === 'object' && rawData !== null) {
+      // Check if it's an ArrayBuffer or TypedArray (image data)
+      if (this._isImageData(rawData)) {
+        const text = this._redact(await this._optimizeImage(rawData, intent, options, config), options, config);
+        return await this._fitTextToBudget(text, intent, true, config);
+      }
+      // It's a JS object: convert Dates, Maps, cycles, ... to plain data
+      inputObject = normalizeData(rawData);
+      if (inputObject === null || typeof inputObject !== 'object') {
+        return await this._fitTextToBudget(String(this._redact(inputObject, options, config)), intent, true, config);
+      }
+    } else {
+      // Other primitives, return as-is
+      return await this._fitTextToBudget(String(rawData), intent, true, config);
+    }
+
+    // If we're here, we have an object (from JSON or POJO). Redacting
+    // first keeps sensitive values out of the cache as well.
+    inputObject = this._redact(inputObject, options, config);
+    const schema = compileSchema(config.schema);
+    const keyParts = () => [JSON.stringify(config), intent ?? '', JSON.stringify(inputObject)];
+    return this._cached('json', keyParts, async () => {
+      const output = await this._encodeObject(inputObject, schema, config);
+      return this._fitsBudget(output, config) ? output : await this._fitObjectToBudget(inputObject, intent, schema, config);
+    });
+  }
+
+  /**
+   * Replaces sensitive values with placeholders when the config sets `redact`.
+   * @param {any} input - Text or normalized data (other values are returned as-is)
+   * @param {Object} options - Call options; `options.redactions` collects the placeholders
+   * @param {BrevitConfig} config - Effective config for this call
+   * @returns {any} The redacted copy
+   * @throws {TypeError} For an invalid `redact` option or `redactions` value
+   * @private
+   */
+  _redact(input, { redactions } = {}, config = this._config) {
+    const rules = compileRedaction(config.redact);
+    if (!rules) return input;
+    if (redactions !== undefined && !(redactions instanceof Redactions)) {
+      throw new TypeError('[Brevit] The redactions option must be a Redactions instance');
+    }
+    const mapping = redactions || new Redactions();
+    let result = input;
+    if (typeof input === 'string') {
+      result = redactText(input, rules, mapping);
+    } else if (input !== null && typeof input === 'object' && !this._isImageData(input)) {
+      result = redactData(input, rules, mapping);
+    }
+    if (!redactions && mapping.size > 0) this._warnUnrestorable();
+    return result;
+  }
+
+  /**
+   * Warns, once per client, that placeholders were made in a mapping the
+   * caller never sees, so they can't be restored.
+   * @private
+   */
+  _warnUnrestorable() {
+    if (this._warnedUnrestorable) return;
+    this._warnedUnrestorable = true;
+    console.warn('[Brevit] Values were redacted without a redactions option; pass a Redactions to restore() them.');
+  }
+
+  /**
+   * Runs the text optimizer through the cache.
+   * @private
+   */
+  _optimizeText(text, intent, { signal } = {}, config = this._config) {
+    const { textMode, summaryRatio, summaryMaxTokens } = config;
+    const keyParts = () => [JSON.stringify({ textMode, summaryRatio, summaryMaxTokens }), intent ?? '', text];
+    return this._cached('text', keyParts, () => this._textOptimizer(text, intent, { signal, config }));
+  }
+
+  /**
+   * Runs the image optimizer through the cache.
+   * @private
+   */
+  _optimizeImage(imageData, intent, { signal } = {}, config = this._config) {
+    const { imageMode, includeGps } = config;
+    const keyParts = () => [JSON.stringify({ imageMode, includeGps }), intent ?? '', imageData];
+    return this._cached('image', keyParts, () => this._imageOptimizer(imageData, intent, { signal, config }));
+  }
+
+  /**
+   * Returns the cached result for a content hash of the key parts, or
+   * computes and stores it. Concurrent calls for the same key share one
+   * computation. Storage errors are reported and treated as misses.
+   * @param {string} kind - 'text', 'image' or 'json'
+   * @param {Function} keyParts - Returns the settings, intent and content to hash (only called when caching)
+   * @param {Function} compute - Produces the result on a miss
+   * @returns {Promise<string>} The result
+   * @private
+   */
+  async _cached(kind, keyParts, compute) {
+    if (!this._cache) return compute();
+
+    const key = `brevit:${kind}:${await hashContent(keyParts())}`;
+    if (this._pendingResults.has(key)) {
+      this._cacheStats.hits++;
+      return this._pendingResults.get(key);
+    }
+
+    // Registered before the storage read, so identical calls made while it
+    // is in flight share one read and one computation
+    const pending = (async () => {
+      let cached;
+      try {
+        cached = await this._cache.get(key);
+      } catch (error) {
+        console.warn(`[Brevit] Cache read failed: ${error.message}`);
+      }
+      if (typeof cached === 'string') {
+        this._cacheStats.hits++;
+        return cached;
+      }
+
+      this._cacheStats.misses++;
+      const result = await compute();
+      try {
+        await this._cache.set(key, result);
+      } catch (error) {
+        console.warn(`[Brevit] Cache write failed: ${error.message}`);
+      }
+      return result;
+    })();
+    this._pendingResults.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      this._pendingResults.delete(key);
+    }
+  }
+
+  /**
+   * Reports cache usage since the client was created (or clearCache() was called).
+   * @returns {{hits: number, misses: number, hitRate: number, size?: number}}
+   *   Hit rate is between 0 and 1; size is reported by storages that have one.
+   */
+  cacheStats() {
+    const { hits, misses } = this._cacheStats;
+    const stats = { hits, misses, hitRate: hits + misses > 0 ? hits / (hits + misses) : 0 };
+    if (this._cache && typeof this._cache.size === 'number') stats.size = this._cache.size;
+    return stats;
+  }
+
+  /**
+   * Empties the cache (when the storage supports clear()) and resets the stats.
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    if (this._cache && typeof this._cache.clear === 'function') await this._cache.clear();
+    this._cacheStats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Applies the configured JSON optimization to an object.
+   * @param {object} inputObject - The object to encode
+   * @param {Object} [schema] - Compiled schema
+   * @returns {Promise<string>} The encoded string
+   * @private
+   */
+  async _encodeObject(inputObject, schema = null, config = this._config) {
+    switch (config.jsonMode) {
+      case JsonOptimizationMode.Flatten:
+        return this._flattenObject(inputObject, schema, config);
+
+      case JsonOptimizationMode.ToYaml: {
+        // YAML shares the "# ..." comment syntax, so it gets the legend too
+        const legend = schemaLegend(inputObject, schema).map(line => `${line}\n`).join('');
+        const data = applySchema(inputObject, schema);
+        if (config.useJsYaml) {
+          const jsYaml = await loadJsYaml();
+          if (jsYaml) {
+            return legend + jsYaml.dump(data).trimEnd();
+          }
+          console.warn('[Brevit] js-yaml is not installed; using the built-in YAML emitter.');
+        }
+        return legend + toYaml(data);
+      }
+
+      case JsonOptimizationMode.Filter:
+        return this._flattenObject(this._filterObject(inputObject, config), schema, config);
+
+      case JsonOptimizationMode.None:
+      default:
+        return JSON.stringify(applySchema(inputObject, schema)); // Return as unformatted JSON
+    }
+  }
+
+  /**
+   * Checks an output against the configured maxTokens/maxChars budget.
+   * @param {string} output - The output to measure
+   * @returns {boolean} True if the output fits (or no budget is set)
+   * @private
+   */
+  _fitsBudget(output, config = this._config) {
+    const { maxTokens, maxChars } = config;
+    if (maxChars != null && output.length > maxChars) return false;
+    if (maxTokens != null && this._tokenizer.count(output) > maxTokens) return false;
+    return true;
+  }
+
+  /**
+   * Shrinks an object until its encoding fits the budget: drops
+   * lowPriorityPaths, truncates long strings, trims arrays (with a
+   * "...(+k more)" marker), then drops deeply nested values. If that is
+   * still not enough, the encoded output is handed to the text optimizer.
+   * @param {object} inputObject - The object to encode
+   * @param {string} [intent] - Hint passed to the text optimizer
+   * @param {Object} [schema] - Compiled schema
+   * @returns {Promise<string>} Output that fits the budget
+   * @private
+   */
+  async _fitObjectToBudget(inputObject, intent, schema = null, config = this._config) {
+    // Filter once up front; later steps only shrink the filtered data
+    const isFilter = config.jsonMode === JsonOptimizationMode.Filter;
+    const encode = isFilter ? data => this._flattenObject(data, schema, config) : data => this._encodeObject(data, schema, config);
+    const inlineMarkers = config.jsonMode === JsonOptimizationMode.None ||
+      config.jsonMode === JsonOptimizationMode.ToYaml;
+    let data = isFilter ? this._filterObject(inputObject, config) : inputObject;
+    let output;
+
+    const steps = [
+      current => removeJsonPaths(cloneJsonData(current), config.lowPriorityPaths || []),
+      ...[256, 128, 64, 32, 16].map(limit => current => truncateStrings(current, limit)),
+      ...[50, 20, 10, 5, 3, 1].map(limit => current => trimArrays(current, limit, inlineMarkers)),
+      ...[8, 6, 4, 3, 2, 1].map(depth => current => dropDeepNodes(current, depth)),
+    ];
+
+    for (const step of steps) {
+      data = step(data);
+      output = await encode(data);
+      if (this._fitsBudget(output, config)) return output;
+    }
+
+    return await this._fitTextToBudget(output, intent, false, config);
+  }
+
+  /**
+   * Makes a text fit the budget: runs the text optimizer (unless the text
+   * already came from an optimizer), then cuts it at a line boundary with
+   * a "...(truncated)" marker as a last resort.
+   * @param {string} text - The text
+   * @param {string} [intent] - Hint passed to the text optimizer
+   * @param {boolean} optimized - Whether the text optimizer already ran
+   * @returns {Promise<string>} Text that fits the budget
+   * @private
+   */
+  async _fitTextToBudget(text, intent, optimized, config = this._config) {
+    if (this._fitsBudget(text, config)) return text;
+    if (!optimized) {
+      text = await this._optimizeText(text, intent, {}, config);
+      if (this._fitsBudget(text, config)) return text;
+    }
+
+    // Binary search for the longest prefix that fits with the marker
+    const marker = '...(truncated)';
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this._fitsBudget(`${text.substring(0, mid)}\n${marker}`, config)) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    // Prefer cutting at the end of a line
+    const lineEnd = text.lastIndexOf('\n', low);
+    const cut = lineEnd > 0 ? lineEnd : low;
+    const truncated = cut > 0 ? `${text.substring(0, cut)}\n${marker}` : marker;
+    return this._fitsBudget(truncated, config) ? truncated : '';
+  }
+
+  /**
+   * Default text optimizer. None returns the text unchanged; Clean and
+   * SummarizeFast run locally (see cleanText and summarizeText).
+   * SummarizeHighQuality goes to the `textBackend` (falling back to Clean
+   * when it fails) and is a STUB without one.
+   * @private
+   */
+  async _defaultTextOptimizer(longText, intent, { signal, config = this._config } = {}) {
+    if (config.textMode === TextOptimizationMode.None) {
+      return longText;
+    }
+    if (config.textMode === TextOptimizationMode.Clean) {
+      return cleanText(longText);
+    }
+    if (config.textMode === TextOptimizationMode.SummarizeFast) {
+      return summarizeText(longText, {
+        intent,
+        ratio: config.summaryRatio,
+        maxTokens: config.summaryMaxTokens,
+        tokenizer: this._tokenizer,
+      });
+    }
+    if (this._textBackend) {
+      try {
+        return await this._textBackend.summarize(longText, { intent, mode: config.textMode, signal });
+      } catch (error) {
+        if (!this._textBackend.fallback || (signal && signal.aborted)) throw error;
+        console.warn(`[Brevit] Text backend failed (${error.message}); falling back to Clean mode.`);
+        return cleanText(longText);
+      }
+    }
+
+    // STUB: A real frontend app would call its backend for this.
+    // NEVER put LLM API keys in a frontend app.
+    console.warn('[Brevit] Text summarization should be done on a secure backend.');
+    const mode = config.textMode;
+    const stubSummary = longText.substring(0, 150);
+    return `[${mode} Stub: Summary of text follows...]\n${stubSummary}...\n[End of summary]`;
+  }
+
+  /**
+   * Default image optimizer. Metadata runs locally (see readImageMetadata)
+   * and None returns nothing. Ocr goes to the `imageBackend` (falling back
+   * to Metadata when it fails) and is a STUB without one.
+   * @private
+   */
+  async _defaultImageOptimizer(imageData, intent, { signal, config = this._config } = {}) {
+    if (config.imageMode === ImageOptimizationMode.None) {
+      return '';
+    }
+    if (config.imageMode === ImageOptimizationMode.Metadata) {
+      const metadata = readImageMetadata(imageData, { gps: config.includeGps });
+      return this._flattenObject(metadata, null, config);
+    }
+    if (this._imageBackend) {
+      try {
+        return await this._imageBackend.ocr(imageData, { intent, signal });
+      } catch (error) {
+        if (!this._imageBackend.fallback || (signal && signal.aborted)) throw error;
+        console.warn(`[Brevit] Image backend failed (${error.message}); falling back to Metadata mode.`);
+        return this._flattenObject(readImageMetadata(imageData, { gps: config.includeGps }), null, config);
+      }
+    }
+
+    // STUB: A real frontend app would call its backend for this.
+    console.warn('[Brevit] Image OCR should be done on a secure backend.');
+    const size = imageData instanceof ArrayBuffer ? imageData.byteLength : imageData.length;
+    return `[OCR Stub: Extracted text from image (${size} bytes)]\nSample OCR Text: INVOICE #1234\nTotal: $499.99\n[End of extracted text]`;
+  }
+}
+
+// Legend lines for the notations buildContext() can explain, in output order
+const NOTATION_LEGEND = {
+  nested: '`a.b:v` = field b of object a; `a[0].b` = field b of the first item of list a',
+  abbreviation: '`@x=path` defines an abbreviation; `@x.b` stands for `path.b`',
+  values: '`$1=text` defines a repeated value; `$1` as a value or cell stands for that text',
+  table: '`k[N]{f1,f2}:` = table of N rows, one per line below it, values in column order; an empty cell = missing field',
+  types: '`f:type` in a table header = column type (str, int, num, bool)',
+  list: '`k[N]:a,b,c` = list of N values',
+  inlineList: '`[a;b]` in a table cell = list of values',
+  empty: '`{}` / `[]` = empty object / empty list',
+  quoted: '`"..."` = string value (JSON escapes)',
+  description: '`# path: text` = description of a field',
+  truncation: '`...(+N more)` = N items omitted; `...(truncated)` = text cut to fit the size budget',
+  redacted: '`<EMAIL_1>`, `<PHONE_2>`, ... = a redacted value; the same placeholder always stands for the same value',
+};
+
+/**
+ * Builds an LLM prompt context from named inputs. Each input (object, JSON,
+ * text or image) is optimized through a BrevitClient and wrapped in a
+ * labeled section; a short legend explaining the notations that actually
+ * appear in the sections is prepended.
+ *
+ * @example
+ * const context = await new BrevitPrompt(brevit, { intent: 'refund eligibility' })
+ *   .add('order', order)
+ *   .add('email', emailText)
+ *   .add('receipt', receiptBytes, { imageMode: 'Metadata' })
+ *   .build();
+ */
+export class BrevitPrompt {
+  /**
+   * @param {BrevitClient} [client] - Client used to optimize the inputs.
+   * @param {object} [options]
+   * @param {string} [options.intent] - Intent passed to every input (overridable per input).
+   * @param {boolean} [options.legend=true] - Prepend the format legend.
+   * @param {string} [options.style='xml'] - Section labels: 'xml' (`<order>...</order>`) or 'markdown' (`## order`).
+   * @param {Redactions} [options.redactions] - Placeholders shared by the inputs when the `redact` option is on
+   *   (default: a new Redactions, available as `prompt.redactions`).
+   */
+  constructor(client = new BrevitClient(), { intent = null, legend = true, style = 'xml', redactions = new Redactions() } = {}) {
+    if (style !== 'xml' && style !== 'markdown') {
+      throw new TypeError(`[Brevit] Unknown section style "${style}"; use 'xml' or 'markdown'`);
+    }
+    this._client = client;
+    this._intent = intent;
+    this._legend = legend;
+    this._style = style;
+    this._inputs = [];
+    this.redactions = redactions;
+  }
+
+  /**
+   * Adds a named input.
+   * @param {string} name - Section label
+   * @param {any} data - Object, JSON string, text or image data
+   * @param {Object} [options] - Per-call options for optimize() (intent, jsonMode, maxTokens, ...)
+   * @returns {BrevitPrompt} This prompt, for chaining
+   */
+  add(name, data, options = {}) {
+    this._inputs.push({ name: String(name), data, options });
+    return this;
+  }
+
+  /**
+   * Optimizes every input and returns the sections and the legend. With
+   * the `redact` option the inputs share `prompt.redactions` unless they
+   * pass their own `redactions`.
+   * @returns {Promise<{legend: string, sections: Array<{name: string, output: string, text: string}>}>}
+   *   `text` is the labeled section, `output` the bare optimized input.
+   */
+  async render() {
+    const notations = new Set();
+    const sections = await Promise.all(this._inputs.map(async ({ name, data, options }) => {
+      const callOptions = { intent: this._intent, redactions: this.redactions, ...options };
+      const output = await this._client.optimize(data, callOptions);
+      if (callOptions.redactions && callOptions.redactions.size > 0 && output.search(REDACTION_PLACEHOLDER) !== -1) {
+        notations.add('redacted');
+      }
+      if (this._isBrevitFormat(data, callOptions)) {
+        collectNotations(output).forEach(notation => notations.add(notation));
+      } else if (/(?:^|\n)\.\.\.\((?:\+\d+ more|truncated)\)$/.test(output)) {
+        notations.add('truncation');
+      }
+      return { name, output, text: this._label(name, output) };
+    }));
+
+    const entries = Object.keys(NOTATION_LEGEND).filter(notation => notations.has(notation));
+    const legend = this._legend && entries.length > 0
+      ? ['Data below uses the Brevit format:', ...entries.map(notation => `- ${NOTATION_LEGEND[notation]}`)].join('\n')
+      : '';
+    return { legend, sections };
+  }
+
+  /**
+   * Builds the context as one string.
+   * @returns {Promise<string>} Legend and sections, separated by blank lines
+   */
+  async build() {
+    const { legend, sections } = await this.render();
+    return [legend, ...sections.map(section => section.text)].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Builds the context as chat message content parts (the `{type: 'text', text}`
+   * shape used by OpenAI and Anthropic messages): the legend, then one part per section.
+   * @returns {Promise<Array<{type: 'text', text: string}>>} Content parts
+   */
+  async buildParts() {
+    const { legend, sections } = await this.render();
+    return [legend, ...sections.map(section => section.text)]
+      .filter(Boolean)
+      .map(text => ({ type: 'text', text }));
+  }
+
+  /**
+   * Whether an input's output uses the flattened Brevit format (and so
+   * needs the legend), as opposed to text, OCR output, YAML or JSON.
+   * @private
+   */
+  _isBrevitFormat(data, callOptions) {
+    const client = this._client;
+    const { config } = client._resolveCallOptions(callOptions, {});
+    const flatModes = [JsonOptimizationMode.Flatten, JsonOptimizationMode.Filter];
+    if (client._isImageData(data)) return config.imageMode === ImageOptimizationMode.Metadata;
+    const input = client._prepareBrevityInput(data);
+    return input !== null && typeof input === 'object' && flatModes.includes(config.jsonMode);
+  }
+
+  /**
+   * Wraps an output in a labeled section.
+   * @private
+   */
+  _label(name, output) {
+    if (this._style === 'markdown') return `## ${name}\n${output}`;
+    if (/^[A-Za-z_][\w.-]*$/.test(name)) return `<${name}>\n${output}\n</${name}>`;
+    return `<section name=${JSON.stringify(name)}>\n${output}\n</section>`;
+  }
+}
+
+/**
+ * Lists the notations used in flattened output (see NOTATION_LEGEND).
+ * Table rows are skipped so their values are not mistaken for paths.
+ * @param {string} output - Flattened output
+ * @returns {Set<string>} Notation names
+ */
+function collectNotations(output) {
+  const notations = new Set();
+  const lines = output.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\.\.\.\((?:\+\d+ more|truncated)\)$/.test(line.trim()) || line.endsWith('...(truncated)')) {
+      notations.add('truncation');
+      continue;
+    }
+    if (line.startsWith('@') && line.includes('=')) {
+      notations.add('abbreviation');
+      continue;
+    }
+    if (/^\$\d+=/.test(line)) {
+      notations.add('values');
+      continue;
+    }
+    if (line.startsWith('# ')) {
+      notations.add('description');
+      continue;
+    }
+
+    const pathEnd = indexOfPathEnd(line);
+    if (pathEnd === -1) continue;
+    const path = line.substring(0, pathEnd);
+    const value = line.substring(pathEnd + 1);
+    if (/[.[]/.test(path.replace(/\[\d*\](?:\{.*\})?$/, ''))) notations.add('nested');
+    if (path.startsWith('"') || path.includes('."')) notations.add('quoted');
+
+    const header = parseTabularHeader(path);
+    if (header) {
+      notations.add('table');
+      if (splitOutsideQuotes(header.fields, ',').some(field => indexOfPathEnd(field) !== -1)) notations.add('types');
+      const rows = lines.slice(i + 1, i + 1 + Number(header.count));
+      if (rows.some(row => /(?:^|,)\[[^\]]*\](?:,|$)/.test(row))) notations.add('inlineList');
+      if (rows.some(row => /(?:^|,)"/.test(row))) notations.add('quoted');
+      i += rows.length;
+      continue;
+    }
+    if (/\[\d+\]$/.test(path) && !/^\[?\d*\]?$/.test(path)) notations.add('list');
+    if (value === '{}' || value === '[]') notations.add('empty');
+    if (value.startsWith('"')) notations.add('quoted');
+  }
+  return notations;
+}
+
+/**
+ * Optimizes the JSON in a message text: the whole text when it is a JSON
+ * object or array, otherwise each ```json fenced block (which loses its
+ * `json` label once optimized).
+ * @param {string} text - The text
+ * @param {Function} optimize - Async function optimizing a JSON string
+ * @returns {Promise<string>} The text with its JSON optimized
+ */
+async function optimizeEmbeddedJson(text, optimize) {
+  if (isJsonContainer(text)) return optimize(text);
+  let result = '';
+  let last = 0;
+  for (const block of text.matchAll(/```json[ \t]*\n([\s\S]*?)\n```/g)) {
+    if (!isJsonContainer(block[1])) continue;
+    const output = await optimize(block[1]);
+    if (output === block[1]) continue;
+    result += `${text.substring(last, block.index)}\`\`\`\n${output}\n\`\`\``;
+    last = block.index + block[0].length;
+  }
+  return result + text.substring(last);
+}
+
+/**
+ * Checks if a string is a JSON object or array.
+ * @param {string} text - The string
+ * @returns {boolean} True for JSON objects and arrays
+ */
+function isJsonContainer(text) {
+  const trimmed = text.trim();
+  if (!(trimmed.startsWith('{') && trimmed.endsWith('}')) && !(trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+    return false;
+  }
+  try {
+    JSON.parse(trimmed);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Returns the bytes of a base64 image content part: OpenAI
+ * `{type: 'image_url', image_url: {url: 'data:image/...;base64,...'}}` or
+ * Anthropic `{type: 'image', source: {type: 'base64', data}}`.
+ * @param {Object} part - Content part
+ * @returns {Uint8Array|null} The image bytes, or null for other parts and URL images
+ */
+function readImagePart(part) {
+  if (part.type === 'image_url') {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url && part.image_url.url;
+    const match = typeof url === 'string' ? /^data:image\/[\w.+-]+;base64,/.exec(url) : null;
+    return match ? fromBase64(url.substring(match[0].length)) : null;
+  }
+  if (part.type === 'image' && part.source && part.source.type === 'base64' && typeof part.source.data === 'string') {
+    return fromBase64(part.source.data);
+  }
+  return null;
+}
+
+/**
+ * Serializes a message for measuring, leaving out base64 image data.
+ * @param {any} message - The message
+ * @returns {string} JSON text
+ */
+function serializeMessage(message) {
+  return JSON.stringify(message, function (key, value) {
+    if (typeof value !== 'string') return value;
+    return value.startsWith('data:') || (key === 'data' && this.type === 'base64') ? '' : value;
+  }) ?? '';
+}
+
+// HTTP statuses worth retrying: timeouts, rate limits and server errors
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// MIME types of the formats readImageMetadata() detects
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  tiff: 'image/tiff',
+};
+
+/**
+ * HTTP client for a summarization or OCR backend, used through the
+ * `textBackend` and `imageBackend` options of BrevitClient. Keeps API keys
+ * on your server: the backend receives a JSON POST and answers with the
+ * optimized text.
+ *
+ * Request bodies:
+ * - text: `{"task": "summarize", "mode": "SummarizeHighQuality", "text": "...", "intent": "..." | null}`
+ * - image: `{"task": "ocr", "image": "<base64>", "mimeType": "image/png", "intent": "..." | null}`
+ *
+ * Response: `{"text": "..."}` as JSON, or the text itself as `text/plain`.
+ *
+ * Network errors, timeouts and HTTP 408/425/429/5xx are retried with
+ * exponential backoff (honoring `Retry-After`); other statuses fail at once.
+ */
+export class HttpBackend {
+  /**
+   * @param {object} options
+   * @param {string} options.endpoint - URL the requests are POSTed to.
+   * @param {Object|Function} options.headers - Extra headers, or a (possibly async) function returning them per request.
+   * @param {string} options.apiKey - Sent as `Authorization: Bearer <apiKey>`.
+   * @param {number} options.timeout - Time limit per attempt in milliseconds.
+   * @param {number} options.retries - Retries after the first attempt.
+   * @param {number} options.retryDelay - Delay before the first retry in milliseconds; doubles on each retry.
+   * @param {number} options.maxRetryDelay - Upper bound for a single retry delay in milliseconds.
+   * @param {boolean} options.fallback - Fall back to local processing when the backend fails.
+   * @param {Function} options.fetch - fetch implementation (defaults to the global fetch).
+   */
+  constructor({
+    endpoint,
+    headers = {},
+    apiKey = null,
+    timeout = 30000,
+    retries = 2,
+    retryDelay = 500,
+    maxRetryDelay = 10000,
+    fallback = true,
+    fetch: fetchImpl = globalThis.fetch,
+  } = {}) {
+    if (!endpoint) {
+      throw new TypeError('[Brevit] HttpBackend requires an endpoint');
+    }
+    if (typeof fetchImpl !== 'function') {
+      throw new TypeError('[Brevit] fetch is not available; pass options.fetch to HttpBackend');
+    }
+    this.endpoint = String(endpoint);
+    this.headers = headers;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.fallback = fallback;
+    this._fetch = fetchImpl;
+  }
+
+  /**
+   * Asks the backend to summarize a text.
+   * @param {string} text - The text
+   * @param {object} [options]
+   * @param {string} [options.intent] - Hint about the user's goal
+   * @param {string} [options.mode] - The TextOptimizationMode being applied
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<string>} The backend's text
+   */
+  summarize(text, { intent = null, mode = TextOptimizationMode.SummarizeHighQuality, signal } = {}) {
+    return this.request({ task: 'summarize', mode, text, intent }, { signal });
+  }
+
+  /**
+   * Asks the backend to extract the text of an image.
+   * @param {ArrayBuffer|Uint8Array} imageData - The image file contents
+   * @param {object} [options]
+   * @param {string} [options.intent] - Hint about the user's goal
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<string>} The backend's text
+   */
+  ocr(imageData, { intent = null, signal } = {}) {
+    const bytes = imageData instanceof ArrayBuffer ? new Uint8Array(imageData) : imageData;
+    const mimeType = IMAGE_MIME_TYPES[detectImageFormat(bytes)] || 'application/octet-stream';
+    return this.request({ task: 'ocr', image: toBase64(bytes), mimeType, intent }, { signal });
+  }
+
+  /**
+   * POSTs a JSON payload, retrying transient failures.
+   * @param {Object} payload - Request body
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @returns {Promise<string>} The response text
+   */
+  async request(payload, { signal } = {}) {
+    const body = JSON.stringify(payload);
+    for (let attempt = 0; ; attempt++) {
+      if (signal && signal.aborted) throw abortReason(signal);
+
+      let response = null;
+      let error;
+      try {
+        const sent = await this._send(body, signal);
+        response = sent.response;
+        if (sent.error) throw sent.error;
+        if (response.ok) return sent.text;
+        error = new Error(`[Brevit] Backend responded with HTTP ${response.status}`);
+        error.status = response.status;
+      } catch (e) {
+        if (signal && signal.aborted) throw abortReason(signal);
+        error = e;
+      }
+
+      const retryable = response === null || RETRYABLE_STATUSES.has(response.status);
+      if (!retryable || attempt >= this.retries) throw error;
+      await sleep(this._retryDelay(attempt, response), signal);
+    }
+  }
+
+  /**
+   * Sends one attempt with its own timeout, which also covers reading the
+   * body of a successful response: a server can stall after the headers.
+   * @returns {Promise<{response: Response, text?: string, error?: Error}>} The
+   *   response, with its text or the error reading it
+   * @private
+   */
+  async _send(body, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const extraHeaders = typeof this.headers === 'function' ? await this.headers() : this.headers;
+      const headers = {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/plain',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        ...extraHeaders,
+      };
+      const response = await this._fetch(this.endpoint, { method: 'POST', headers, body, signal: controller.signal });
+      if (!response.ok) return { response };
+      try {
+        return { response, text: await readBackendResponse(response) };
+      } catch (error) {
+        // A stalled body is a timeout like a stalled connection; a malformed one is not
+        if (controller.signal.aborted) throw error;
+        return { response, error };
+      }
+    } catch (error) {
+      if (controller.signal.aborted && !(signal && signal.aborted)) {
+        throw new Error(`[Brevit] Backend request timed out after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Backoff before the next attempt: retryDelay * 2^attempt, or the
+   * server's Retry-After when it asks for longer, capped at maxRetryDelay.
+   * @private
+   */
+  _retryDelay(attempt, response) {
+    let delay = this.retryDelay * 2 ** attempt;
+    const retryAfter = response && Number(response.headers.get('retry-after'));
+    if (retryAfter > 0) delay = Math.max(delay, retryAfter * 1000);
+    return Math.min(delay, this.maxRetryDelay);
+  }
+}
+
+/**
+ * Accepts an HttpBackend or its constructor options.
+ * @param {HttpBackend|Object} backend - Backend or options
+ * @returns {HttpBackend} The backend
+ */
+function asHttpBackend(backend) {
+  return backend instanceof HttpBackend ? backend : new HttpBackend(backend);
+}
+
+/**
+ * Reads the text from a backend response (JSON `{"text": ...}` or plain text).
+ * @param {Response} response - fetch response
+ * @returns {Promise<string>} The text
+ */
+async function readBackendResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('json')) return await response.text();
+  const data = await response.json();
+  if (!data || typeof data.text !== 'string') {
+    throw new Error('[Brevit] Backend response has no "text" field');
+  }
+  return data.text;
+}
+
+/**
+ * Waits, rejecting early when the signal aborts.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * The error to throw for an aborted signal.
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The abort reason, or a generic AbortError
+ */
+function abortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+  const error = new Error('[Brevit] The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Base64-encodes bytes (Buffer in Node, btoa in browsers).
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} Base64 text
+ */
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  }
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 text into bytes.
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} The bytes
+ */
+function fromBase64(text) {
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(text, 'base64'));
+  }
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+
+/**
+ * In-memory LRU cache with a time-to-live, the default storage behind the
+ * `cache` option of BrevitClient. Any object with the same `get`/`set`
+ * methods (sync or async) can replace it, e.g. a filesystem or IndexedDB
+ * adapter.
+ */
+export class MemoryCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=1000] - Entries kept before the least recently used is evicted.
+   * @param {number} [options.ttl=3600000] - Time to live in milliseconds (null = no expiry).
+   */
+  constructor({ maxEntries = 1000, ttl = 3600000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this._entries = new Map();
+  }
+
+  /**
+   * Number of entries, including expired ones not yet evicted.
+   * @returns {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Reads an entry and marks it as recently used.
+   * @param {string} key - Cache key
+   * @returns {string|undefined} The value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+    this._entries.delete(key);
+    if (entry.expires !== null && entry.expires <= Date.now()) return undefined;
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Stores an entry, evicting the least recently used ones when full.
+   * @param {string} key - Cache key
+   * @param {string} value - Value
+   */
+  set(key, value) {
+    this._entries.delete(key);
+    this._entries.set(key, { value, expires: this.ttl != null ? Date.now() + this.ttl : null });
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes an entry.
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Removes all entries.
+   */
+  clear() {
+    this._entries.clear();
+  }
+}
+
+/**
+ * Hashes cache key parts (strings and bytes) to a hex digest: SHA-256 via
+ * Web Crypto where available, otherwise a 106-bit non-cryptographic hash.
+ * @param {Array<string|Uint8Array|ArrayBuffer>} parts - Key parts
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashContent(parts) {
+  const encoder = new TextEncoder();
+  const chunks = parts.map(part =>
+    typeof part === 'string' ? encoder.encode(part) : part instanceof ArrayBuffer ? new Uint8Array(part) : part
+  );
+  // Length prefixes keep ("ab", "c") and ("a", "bc") apart
+  const header = encoder.encode(chunks.map(chunk => chunk.byteLength).join(',') + '\n');
+  const bytes = new Uint8Array(header.byteLength + chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+  let offset = 0;
+  [header, ...chunks].forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+
+  const subtle = await loadSubtleCrypto();
+  if (subtle) {
+    const digest = new Uint8Array(await subtle.digest('SHA-256', bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  return cyrb53(bytes, 0).toString(16).padStart(14, '0') + cyrb53(bytes, 0x9E3779B9).toString(16).padStart(14, '0');
+}
+
+let subtleCrypto;
+
+/**
+ * Finds Web Crypto: the global in browsers and Node 19+, node:crypto in older Node.
+ * @returns {Promise<SubtleCrypto|null>} SubtleCrypto, or null (e.g. insecure browser contexts)
+ */
+async function loadSubtleCrypto() {
+  if (subtleCrypto === undefined) {
+    subtleCrypto = (globalThis.crypto && globalThis.crypto.subtle) || null;
+    if (!subtleCrypto) {
+      // Specifier kept in a variable so browser bundlers don't try to include it
+      const moduleName = 'node:crypto';
+      try {
+        subtleCrypto = (await import(moduleName)).webcrypto.subtle;
+      } catch (e) {
+        subtleCrypto = null;
+      }
+    }
+  }
+  return subtleCrypto;
+}
+
+/**
+ * 53-bit non-cryptographic hash (cyrb53).
+ * @param {Uint8Array} bytes - Input
+ * @param {number} seed - Seed
+ * @returns {number} Hash
+ */
+function cyrb53(bytes, seed) {
+  let h1 = 0xDEADBEEF ^ seed;
+  let h2 = 0x41C6CE57 ^ seed;
+  for (const byte of bytes) {
+    h1 = Math.imul(h1 ^ byte, 2654435761);
+    h2 = Math.imul(h2 ^ byte, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Incremental encoder behind optimizeStream() and the stream adapters.
+ * Keeps only the current block's columns and the record index in memory.
+ * @private
+ */
+class StreamEncoder {
+  /**
+   * @param {BrevitClient} client - Client whose formatting helpers are used
+   * @param {string} key - Path of the array in the output
+   * @param {Redactions} [redactions] - Placeholders for the client's `redact` option
+   */
+  constructor(client, key, redactions) {
+    this._client = client;
+    this._key = key;
+    this._options = shareRedactions({ redactions }, client._config);
+    this._ownsRedactions = !redactions;
+    this._index = 0;
+    this._fields = null;
+  }
+
+  /**
+   * Encodes the next record.
+   * @param {any} record - The record
+   * @returns {string} Output lines for this record (newline-terminated)
+   */
+  push(record) {
+    record = this._client._redact(normalizeData(record), this._options);
+    if (this._ownsRedactions && this._options.redactions && this._options.redactions.size > 0) {
+      this._client._warnUnrestorable();
+    }
+    const fields = this._rowFields(record);
+    let output = '';
+
+    if (!fields || !this._fields || !sameKeys(fields, this._fields)) {
+      // Close the open block before a header or an indexed record
+      if (this._fields) {
+        output += '\n';
+        this._fields = null;
+      }
+      if (fields) {
+        this._fields = fields;
+        output += `${this._key}[]{${fields.map(field => this._client._formatKey(field)).join(',')}}:\n`;
+      }
+    }
+
+    if (this._fields) {
+      output += this._fields.map(field => this._client._escapeValue(record[field])).join(',') + '\n';
+    } else {
+      const lines = [];
+      this._client._flatten(record, `${this._key}[${this._index}]`, lines);
+      output += lines.map(line => `${line}\n`).join('');
+    }
+
+    this._index++;
+    return output;
+  }
+
+  /**
+   * Returns the columns of a record that can be written as a tabular row.
+   * @param {any} record - The record
+   * @returns {Array<string>|null} Keys, or null for non-flat records
+   * @private
+   */
+  _rowFields(record) {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) return null;
+    const keys = Object.keys(record);
+    if (keys.length === 0) return null;
+    const flat = keys.every(key => record[key] === null || typeof record[key] !== 'object');
+    return flat ? keys : null;
+  }
+}
+
+/**
+ * Splits NDJSON text chunks into parsed records, buffering partial lines.
+ * @private
+ */
+class NdjsonParser {
+  constructor() {
+    this._buffer = '';
+    this._decoder = new TextDecoder();
+    this._lineNumber = 0;
+  }
+
+  /**
+   * Adds a chunk of NDJSON text (string or bytes).
+   * @param {string|Uint8Array} chunk - The chunk
+   * @returns {Array<any>} Records completed by this chunk
+   */
+  push(chunk) {
+    this._buffer += typeof chunk === 'string' ? chunk : this._decoder.decode(chunk, { stream: true });
+    const lines = this._buffer.split('\n');
+    this._buffer = lines.pop();
+    return this._parseLines(lines);
+  }
+
+  /**
+   * Flushes the last line.
+   * @returns {Array<any>} Remaining records
+   */
+  end() {
+    const rest = this._buffer + this._decoder.decode();
+    this._buffer = '';
+    return this._parseLines([rest]);
+  }
+
+  /**
+   * Parses complete lines, skipping blank ones.
+   * @param {Array<string>} lines - The lines
+   * @returns {Array<any>} Parsed records
+   * @private
+   */
+  _parseLines(lines) {
+    const records = [];
+    lines.forEach(line => {
+      this._lineNumber++;
+      if (line.trim() === '') return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (e) {
+        throw new Error(`[Brevit] Invalid JSON on NDJSON line ${this._lineNumber}: ${e.message}`);
+      }
+    });
+    return records;
+  }
+}
+
+/**
+ * Checks whether a stream chunk is NDJSON text (string or bytes) rather than a record.
+ * @param {any} chunk - The chunk
+ * @returns {boolean} True for strings, ArrayBuffers and byte arrays
+ */
+function isTextChunk(chunk) {
+  return typeof chunk === 'string' || chunk instanceof Uint8Array || chunk instanceof ArrayBuffer;
+}
+
+/**
+ * Checks if two key lists contain the same keys (order-independent).
+ * @param {Array<string>} a - First key list
+ * @param {Array<string>} b - Second key list
+ * @returns {boolean} True if both have the same keys
+ */
+function sameKeys(a, b) {
+  if (a.length !== b.length) return false;
+  const set = new Set(b);
+  return a.every(key => set.has(key));
+}
+
+// Marks object properties that normalizeData() leaves out (functions, symbols)
+const OMITTED = Symbol('brevit.omitted');
+
+/**
+ * Converts arbitrary JS values to plain JSON-compatible data before encoding:
+ * Dates become ISO strings, `toJSON()` is honored, Maps become objects (or
+ * `{key, value}` entry arrays when keys are objects), Sets and typed arrays
+ * become arrays, BigInts become numbers (or digit strings beyond the safe
+ * integer range), `undefined` and non-finite numbers become null, and a
+ * reference back to an ancestor becomes the string `[Circular ->path]`.
+ * Functions and symbols are dropped from objects, as with JSON.stringify.
+ * @param {any} value - The value to normalize
+ * @returns {any} Plain data
+ */
+function normalizeData(value) {
+  const ancestors = new Map();
+
+  const walk = (node, path, key) => {
+    if (node === undefined) return null;
+    if (typeof node === 'function' || typeof node === 'symbol') return OMITTED;
+    if (typeof node === 'number') return Number.isFinite(node) ? node : null;
+    if (typeof node === 'bigint') {
+      return Number.isSafeInteger(Number(node)) ? Number(node) : node.toString();
+    }
+    if (node === null || typeof node !== 'object') return node;
+
+    if (node instanceof Date) {
+      return Number.isNaN(node.getTime()) ? null : node.toISOString();
+    }
+    if (ancestors.has(node)) {
+      return `[Circular ->${ancestors.get(node) || '$'}]`;
+    }
+    if (typeof node.toJSON === 'function') {
+      const json = node.toJSON(key);
+      if (json !== node) return walk(json, path, key);
+    }
+    if (node instanceof ArrayBuffer) {
+      return Array.from(new Uint8Array(node));
+    }
+    if (ArrayBuffer.isView(node)) {
+      return node instanceof DataView
+        ? Array.from(new Uint8Array(node.buffer, node.byteOffset, node.byteLength))
+        : Array.from(node, item => walk(item, path, ''));
+    }
+
+    ancestors.set(node, path);
+    let result;
+    if (Array.isArray(node) || node instanceof Set) {
+      result = [];
+      for (const item of node) {
+        const index = result.length;
+        const data = walk(item, `${path}[${index}]`, String(index));
+        result.push(data === OMITTED ? null : data);
+      }
+    } else if (node instanceof Map) {
+      const entries = [...node.entries()];
+      if (entries.every(([entryKey]) => entryKey === null || typeof entryKey !== 'object')) {
+        result = {};
+        entries.forEach(([entryKey, item]) => {
+          const name = String(entryKey);
+          const data = walk(item, path ? `${path}.${name}` : name, name);
+          if (data !== OMITTED) setOwnProperty(result, name, data);
+        });
+      } else {
+        result = entries.map(([entryKey, item], index) => {
+          const data = walk(item, `${path}[${index}].value`, 'value');
+          return { key: walk(entryKey, `${path}[${index}].key`, 'key'), value: data === OMITTED ? null : data };
+        });
+      }
+    } else {
+      result = {};
+      Object.entries(node).forEach(([name, item]) => {
+        const data = walk(item, path ? `${path}.${name}` : name, name);
+        if (data !== OMITTED) setOwnProperty(result, name, data);
+      });
+    }
+    ancestors.delete(node);
+    return result;
+  };
+
+  const result = walk(value, '', '');
+  return result === OMITTED ? null : result;
+}
+
+// JSON Schema type names and their short header forms
+const SCHEMA_TYPE_NAMES = {
+  string: 'str',
+  integer: 'int',
+  number: 'num',
+  float: 'num',
+  boolean: 'bool',
+  array: 'arr',
+  object: 'obj',
+};
+
+// Keys that mark an object as a JSON Schema node rather than a field map
+const SCHEMA_KEYWORDS = new Set([
+  '$schema', '$id', 'type', 'properties', 'items', 'required', 'default', 'description', 'title',
+  'enum', 'const', 'format', 'examples', 'nullable', 'additionalProperties',
+  'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems', 'pattern',
+]);
+
+/**
+ * Compiles a JSON Schema or a lightweight field schema into the form the
+ * encoder walks. Field schemas map names to types (`'str'`, `'int'`,
+ * `'num'`, `'bool'`, or JSON Schema names), to `[itemSchema]` for arrays,
+ * to nested field schemas, or to `{ type, default, description }`.
+ * @param {Object|string|Array|null} schema - The schema
+ * @returns {Object|null} Compiled node: {type, properties, items, hasDefault, default, description}
+ * @throws {TypeError} If the schema is not an object, array or type name
+ * @example
+ * compileSchema({ items: [{ sku: 'str', qty: { type: 'int', default: 1 } }] });
+ */
+function compileSchema(schema) {
+  if (schema === null || schema === undefined) return null;
+
+  const node = { type: null, properties: null, items: null, hasDefault: false, default: undefined, description: null };
+  if (typeof schema === 'string') {
+    node.type = SCHEMA_TYPE_NAMES[schema] || schema;
+    return node;
+  }
+  if (Array.isArray(schema)) {
+    node.type = 'arr';
+    node.items = compileSchema(schema[0]);
+    return node;
+  }
+  if (typeof schema !== 'object') {
+    throw new TypeError('[Brevit] schema must be a JSON Schema, a field schema object or a type name.');
+  }
+
+  // A field map may have fields named "type" or "items"; a schema node only has keywords
+  const keys = Object.keys(schema);
+  const isSchemaNode = '$schema' in schema ||
+    ((typeof schema.type === 'string' || Array.isArray(schema.type) || isPlainObject(schema.properties)) &&
+      keys.every(key => SCHEMA_KEYWORDS.has(key)));
+
+  if (!isSchemaNode) {
+    // Field schema: { name: type, ... }
+    node.type = 'obj';
+    node.properties = new Map(keys.map(key => [key, compileSchema(schema[key])]));
+    return node;
+  }
+
+  const type = [].concat(schema.type ?? []).find(name => name !== 'null');
+  if (isPlainObject(schema.properties)) {
+    node.properties = new Map(Object.entries(schema.properties).map(([key, field]) => [key, compileSchema(field)]));
+  }
+  if (schema.items !== null && typeof schema.items === 'object') {
+    node.items = compileSchema(Array.isArray(schema.items) ? schema.items[0] : schema.items);
+  }
+  node.type = type ? SCHEMA_TYPE_NAMES[type] || type : (node.properties ? 'obj' : node.items ? 'arr' : null);
+  node.hasDefault = Object.prototype.hasOwnProperty.call(schema, 'default');
+  node.default = schema.default;
+  node.description = typeof schema.description === 'string' ? schema.description : null;
+  return node;
+}
+
+/**
+ * Returns the compiled schema of an object field.
+ * @param {Object|null} schema - Compiled schema of the object
+ * @param {string} key - Field name
+ * @returns {Object|null} The field's schema, or null
+ */
+function schemaField(schema, key) {
+  return schema && schema.properties ? schema.properties.get(key) || null : null;
+}
+
+/**
+ * Reorders object fields to follow the schema (other fields keep their order
+ * after the schema's) and drops fields equal to their schema default.
+ * @param {any} value - Normalized data
+ * @param {Object|null} schema - Compiled schema
+ * @returns {any} A copy shaped by the schema (the input when there is no schema)
+ */
+function applySchema(value, schema) {
+  if (!schema) return value;
+  if (Array.isArray(value)) {
+    return mapJsonData(value, item => applySchema(item, schema.items));
+  }
+  if (!isPlainObject(value) || !schema.properties) return value;
+
+  const result = {};
+  const has = key => Object.prototype.hasOwnProperty.call(value, key);
+  schema.properties.forEach((field, key) => {
+    if (!has(key)) return;
+    if (field && field.hasDefault && JSON.stringify(value[key]) === JSON.stringify(field.default)) return;
+    setOwnProperty(result, key, applySchema(value[key], field));
+  });
+  Object.keys(value).forEach(key => {
+    if (!schema.properties.has(key)) setOwnProperty(result, key, value[key]);
+  });
+  return result;
+}
+
+/**
+ * Builds "# path: description; default X" legend lines for the schema
+ * fields that occur in the data. Array items are written as `path[]`.
+ * @param {any} value - Normalized data (before defaults are omitted)
+ * @param {Object|null} schema - Compiled schema
+ * @returns {string[]} Legend lines
+ */
+function schemaLegend(value, schema) {
+  const lines = [];
+  const seen = new Set();
+
+  const walk = (node, nodeSchema, path) => {
+    if (!nodeSchema) return;
+    if (Array.isArray(node)) {
+      node.forEach(item => walk(item, nodeSchema.items, `${path}[]`));
+      return;
+    }
+    if (!isPlainObject(node) || !nodeSchema.properties) return;
+
+    nodeSchema.properties.forEach((field, key) => {
+      if (!field || !Object.prototype.hasOwnProperty.call(node, key)) return;
+      const fieldPath = path ? `${path}.${key}` : key;
+      const notes = [];
+      if (field.description) notes.push(field.description);
+      if (field.hasDefault) notes.push(`default ${JSON.stringify(field.default)}`);
+      if (notes.length > 0 && !seen.has(fieldPath)) {
+        seen.add(fieldPath);
+        lines.push(`# ${fieldPath}: ${notes.join('; ')}`);
+      }
+      walk(node[key], field, fieldPath);
+    });
+  };
+
+  walk(value, schema, '');
+  return lines;
+}
+
+/**
+ * Returns the position of a column in the schema's field order, per level.
+ * Fields missing from the schema rank after all schema fields.
+ * @param {Object} schema - Compiled item schema
+ * @param {Array<string>} path - Column key segments
+ * @returns {Array<number>} Rank per segment
+ */
+function schemaRank(schema, path) {
+  const ranks = [];
+  let node = schema;
+  for (const key of path) {
+    const keys = node && node.properties ? [...node.properties.keys()] : [];
+    const index = keys.indexOf(key);
+    ranks.push(index === -1 ? Infinity : index);
+    node = schemaField(node, key);
+  }
+  return ranks;
+}
+
+/**
+ * Compares two schema ranks lexicographically.
+ * @param {Array<number>} a - First rank
+ * @param {Array<number>} b - Second rank
+ * @returns {number} Negative, zero or positive
+ */
+function compareRanks(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] === Infinity ? 1 : b[i] === Infinity ? -1 : a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Returns the header type of a tabular column ("str", "int", "str[]", ...).
+ * @param {Object|null} schema - Compiled item schema
+ * @param {Array<string>} path - Column key segments
+ * @returns {string|null} The type, or null if the schema doesn't type the column
+ */
+function schemaColumnType(schema, path) {
+  let node = schema;
+  for (const key of path) node = schemaField(node, key);
+  if (!node || !node.type || node.type === 'obj') return null;
+  if (node.type === 'arr') {
+    const itemType = node.items && node.items.type;
+    return itemType && itemType !== 'arr' && itemType !== 'obj' ? `${itemType}[]` : null;
+  }
+  return node.type;
+}
+
+// Lazily loaded 'js-yaml' module (undefined = not tried yet, null = unavailable)
+let jsYamlModule;
+
+/**
+ * Loads the optional 'js-yaml' package, if it is installed.
+ * @returns {Promise<object|null>} The js-yaml module, or null when unavailable
+ */
+async function loadJsYaml() {
+  if (jsYamlModule === undefined) {
+    // Specifier kept in a variable so bundlers don't require the optional package
+    const moduleName = 'js-yaml';
+    try {
+      const mod = await import(moduleName);
+      jsYamlModule = mod.default || mod;
+    } catch (e) {
+      jsYamlModule = null;
+    }
+  }
+  return jsYamlModule;
+}
+
+// Maximum rendered width for emitting a primitive array in flow style ("[a, b]")
+const YAML_FLOW_WIDTH = 80;
+
+/**
+ * Converts a JS value to YAML with the built-in, zero-dependency emitter.
+ * Multi-line strings become block scalars, short primitive arrays use flow
+ * style and uniform object arrays are written as one flow mapping per item.
+ *
+ * @param {any} value - The value to convert (JSON-compatible data).
+ * @returns {string} The YAML document (without a trailing newline).
+ * @example
+ * toYaml({ tags: ['a', 'b'], items: [{ sku: 'A-88', qty: 1 }] });
+ * // tags: [a, b]
+ * // items:
+ * //   - {sku: A-88, qty: 1}
+ */
+export function toYaml(value) {
+  const node = normalizeData(value);
+  if (!isYamlBlock(node)) {
+    const lines = [];
+    yamlScalarLines(node, '', 2, lines);
+    return lines.join('\n');
+  }
+  return yamlBlockLines(node, 0).join('\n');
+}
+
+/**
+ * Checks whether a value needs block (multi-line) structure.
+ * @param {any} value - Normalized value
+ * @returns {boolean} True for non-empty objects and arrays
+ */
+function isYamlBlock(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * Emits the lines of a non-empty mapping or sequence at the given indentation.
+ * @param {object|Array} node - Normalized object or array
+ * @param {number} indent - Indentation in spaces
+ * @returns {Array<string>} YAML lines
+ */
+function yamlBlockLines(node, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  if (Array.isArray(node)) {
+    const compactItems = isUniformYamlArray(node);
+    node.forEach(item => {
+      if (compactItems || !isYamlBlock(item)) {
+        const flow = compactItems ? yamlFlow(item) : null;
+        if (flow !== null) {
+          lines.push(`${pad}- ${flow}`);
+        } else {
+          yamlScalarLines(item, `${pad}- `, indent + 2, lines);
+        }
+        return;
+      }
+      if (Array.isArray(item)) {
+        const flow = yamlFlowSequence(item, indent + 2);
+        if (flow !== null) {
+          lines.push(`${pad}- ${flow}`);
+          return;
+        }
+      }
+      // Nested block: put the first child line on the "- " line
+      const childLines = yamlBlockLines(item, indent + 2);
+      childLines[0] = `${pad}- ${childLines[0].substring(indent + 2)}`;
+      lines.push(...childLines);
+    });
+    return lines;
+  }
+
+  Object.entries(node).forEach(([key, value]) => {
+    const keyText = yamlString(key, false);
+    if (!isYamlBlock(value)) {
+      yamlScalarLines(value, `${pad}${keyText}: `, indent + 2, lines);
+      return;
+    }
+    if (Array.isArray(value)) {
+      const flow = yamlFlowSequence(value, indent + keyText.length + 2);
+      if (flow !== null) {
+        lines.push(`${pad}${keyText}: ${flow}`);
+        return;
+      }
+    }
+    lines.push(`${pad}${keyText}:`);
+    lines.push(...yamlBlockLines(value, indent + 2));
+  });
+  return lines;
+}
+
+/**
+ * Emits a scalar (or empty container) after the given line prefix. Multi-line
+ * strings become literal block scalars indented at `indent`.
+ * @param {any} value - Normalized scalar
+ * @param {string} prefix - Text preceding the value on its line ("key: " or "- ")
+ * @param {number} indent - Indentation for block scalar content
+ * @param {Array<string>} lines - Output lines
+ */
+function yamlScalarLines(value, prefix, indent, lines) {
+  const isMultiline = typeof value === 'string' && value.includes('\n') && value.replace(/\n/g, '') !== '';
+  if (isMultiline && !/[\x00-\x08\x0b-\x1f\x7f]/.test(value)) {
+    // Chomping: "-" strips the final newline, "+" keeps extra trailing newlines
+    const trailing = value.length - value.replace(/\n+$/, '').length;
+    const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    const indicator = value.startsWith(' ') ? '2' : '';
+    const body = trailing === 0 ? value : value.substring(0, value.length - 1);
+    lines.push(`${prefix}|${indicator}${chomp}`);
+    const pad = ' '.repeat(indent);
+    body.split('\n').forEach(line => lines.push(line === '' ? '' : pad + line));
+    return;
+  }
+  lines.push(prefix + yamlScalar(value, false));
+}
+
+/**
+ * Renders a primitive array in flow style if it is short enough.
+ * @param {Array} arr - Normalized array
+ * @param {number} offset - Column where the flow sequence starts
+ * @returns {string|null} The flow sequence, or null if block style is needed
+ */
+function yamlFlowSequence(arr, offset) {
+  if (!arr.every(item => item === null || typeof item !== 'object')) return null;
+  const flow = yamlFlow(arr);
+  return flow !== null && offset + flow.length <= YAML_FLOW_WIDTH ? flow : null;
+}
+
+/**
+ * Renders a value in flow style ("[a, b]", "{k: v}").
+ * @param {any} value - Normalized value
+ * @returns {string|null} The flow text, or null if a value can't be written inline
+ */
+function yamlFlow(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(yamlFlow);
+    return items.includes(null) ? null : `[${items.join(', ')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => {
+      const flow = yamlFlow(item);
+      return flow === null ? null : `${yamlString(key, true)}: ${flow}`;
+    });
+    return entries.includes(null) ? null : `{${entries.join(', ')}}`;
+  }
+  if (typeof value === 'string' && value.includes('\n')) return null;
+  return yamlScalar(value, true);
+}
+
+/**
+ * Checks if an array holds objects with identical keys and only scalar values.
+ * @param {Array} arr - Normalized array
+ * @returns {boolean} True if every item can be written as a flow mapping
+ */
+function isUniformYamlArray(arr) {
+  const isPlainObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+  if (!arr.every(isPlainObject)) return false;
+
+  const keys = Object.keys(arr[0]).sort().join('\u0000');
+  return arr.every(item =>
+    Object.keys(item).sort().join('\u0000') === keys &&
+    Object.values(item).every(value => value === null || typeof value !== 'object')
+  );
+}
+
+/**
+ * Renders a scalar value (or empty container).
+ * @param {any} value - Normalized scalar
+ * @param {boolean} inFlow - Whether the value appears inside a flow collection
+ * @returns {string} The YAML scalar
+ */
+function yamlScalar(value, inFlow) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  return yamlString(String(value), inFlow);
+}
+
+/**
+ * Renders a string as a plain, single-quoted or double-quoted YAML scalar.
+ * @param {string} str - The string
+ * @param {boolean} inFlow - Whether the string appears inside a flow collection
+ * @returns {string} The YAML string
+ */
+function yamlString(str, inFlow) {
+  if (/[\x00-\x08\x0a-\x1f\x7f\u2028\u2029]/.test(str)) {
+    return JSON.stringify(str);
+  }
+
+  const needsQuotes =
+    str === '' ||
+    str !== str.trim() ||
+    /^(?:null|~|true|false|yes|no|on|off|y|n)$/i.test(str) ||
+    /^[-+]?(?:\.?\d|\.(?:inf|nan)$)/i.test(str) ||
+    /^0[xob]/i.test(str) ||
+    /^[-?:,\[\]{}#&*!|>'"%@`]/.test(str) ||
+    /: |:$| #|\t/.test(str) ||
+    (inFlow && /[,\[\]{}]/.test(str));
+
+  return needsQuotes ? `'${str.replace(/'/g, "''")}'` : str;
+}
+
+// Marks arrays trimmed by the token budget with the number of dropped items
+const TRUNCATED_ITEMS = Symbol('brevit.truncatedItems');
+
+/**
+ * Builds the marker written after a trimmed array.
+ * @param {number} count - Number of items that were dropped
+ * @returns {string} The marker, e.g. "...(+12 more)"
+ */
+function truncationMarker(count) {
+  return `...(+${count} more)`;
+}
+
+/**
+ * Shortens string values longer than a limit, appending "...".
+ * @param {any} value - The data
+ * @param {number} limit - Maximum string length to keep
+ * @returns {any} A copy with shortened strings
+ */
+function truncateStrings(value, limit) {
+  if (typeof value === 'string') {
+    return value.length > limit + 3 ? `${value.substring(0, limit)}...` : value;
+  }
+  return mapJsonData(value, item => truncateStrings(item, limit));
+}
+
+/**
+ * Keeps the first `limit` items of every array. Trimmed arrays remember the
+ * dropped count (rendered as a "...(+k more)" line by Flatten), or get the
+ * marker as a last element when `inlineMarker` is set (JSON and YAML).
+ * @param {any} value - The data
+ * @param {number} limit - Maximum number of items per array
+ * @param {boolean} inlineMarker - Append the marker as an array element
+ * @returns {any} A copy with trimmed arrays
+ */
+function trimArrays(value, limit, inlineMarker) {
+  if (!Array.isArray(value)) {
+    return mapJsonData(value, item => trimArrays(item, limit, inlineMarker));
+  }
+
+  const hasInlineMarker = inlineMarker && value.length > 0 &&
+    /^\.\.\.\(\+\d+ more\)$/.test(value[value.length - 1]);
+  const items = hasInlineMarker ? value.slice(0, -1) : value;
+  const previous = value[TRUNCATED_ITEMS] || (hasInlineMarker ? Number(/\d+/.exec(value[value.length - 1])[0]) : 0);
+
+  const kept = items.slice(0, limit).map(item => trimArrays(item, limit, inlineMarker));
+  const dropped = previous + Math.max(0, items.length - limit);
+  if (dropped > 0) {
+    if (inlineMarker) {
+      kept.push(truncationMarker(dropped));
+    } else {
+      kept[TRUNCATED_ITEMS] = dropped;
+    }
+  }
+  return kept;
+}
+
+/**
+ * Removes objects and arrays nested deeper than `maxDepth`.
+ * @param {any} value - The data
+ * @param {number} maxDepth - Deepest level whose containers are kept
+ * @param {number} [depth] - Current depth
+ * @returns {any} A copy without the deep containers
+ */
+function dropDeepNodes(value, maxDepth, depth = 0) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) {
+    const kept = value
+      .filter(item => depth < maxDepth || item === null || typeof item !== 'object')
+      .map(item => dropDeepNodes(item, maxDepth, depth + 1));
+    if (value[TRUNCATED_ITEMS]) kept[TRUNCATED_ITEMS] = value[TRUNCATED_ITEMS];
+    return kept;
+  }
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (depth < maxDepth || item === null || typeof item !== 'object') {
+      setOwnProperty(result, key, dropDeepNodes(item, maxDepth, depth + 1));
+    }
+  });
+  return result;
+}
+
+/**
+ * Maps the children of a plain object or array, keeping trim markers.
+ * @param {any} value - The data
+ * @param {Function} fn - Applied to each child value
+ * @returns {any} The mapped copy (other values are returned as-is)
+ */
+function mapJsonData(value, fn) {
+  if (Array.isArray(value)) {
+    const mapped = value.map(fn);
+    if (value[TRUNCATED_ITEMS]) mapped[TRUNCATED_ITEMS] = value[TRUNCATED_ITEMS];
+    return mapped;
+  }
+  if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => setOwnProperty(result, key, fn(item)));
+    return result;
+  }
+  return value;
+}
+
+// A "$n" value reference (see enableValueDictionary)
+const VALUE_REFERENCE = /^\$\d+$/;
+
+/**
+ * Counts the string values in the data (keys are not counted).
+ * @param {any} value - The data
+ * @param {Map<string, number>} [counts] - Counts to add to
+ * @returns {Map<string, number>} Occurrences of each string
+ */
+function countStrings(value, counts = new Map()) {
+  if (typeof value === 'string') {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => countStrings(item, counts));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach(item => countStrings(item, counts));
+  }
+  return counts;
+}
+
+/**
+ * Replaces string values found in a map.
+ * @param {any} value - The data
+ * @param {Map<string, string>} replacements - Map of string to replacement
+ * @returns {any} A copy with the strings replaced
+ */
+function replaceStrings(value, replacements) {
+  if (typeof value === 'string') {
+    return replacements.has(value) ? replacements.get(value) : value;
+  }
+  return mapJsonData(value, item => replaceStrings(item, replacements));
+}
+
+/**
+ * Writes an abbreviation dictionary as the "@x=prefix" definition lines of
+ * flattened output. Prepend them to output made with the dictionary to
+ * decode it: `decode(formatDictionary(dictionary) + '\n' + output)`.
+ *
+ * @param {Object} dictionary - `{ prefix: alias }`
+ * @returns {string} One definition per line ('' for an empty dictionary)
+ * @throws {TypeError} For an invalid dictionary
+ */
+export function formatDictionary(dictionary) {
+  return Array.from(dictionaryToMap(dictionary), ([prefix, alias]) => `@${alias}=${prefix}`).join('\n');
+}
+
+/**
+ * Decodes Brevit flattened output back into a JS object or array.
+ * Expands `@x=prefix` abbreviations and `$n=value` value references, rebuilds nested objects and arrays from
+ * dot/bracket paths, restores tabular blocks into object arrays and
+ * un-escapes quoted keys and values. Unquoted scalars are trimmed and typed
+ * (`null`, booleans and numbers); everything else decodes as a string.
+ *
+ * @param {string} text - Output produced by the Flatten mode (or written in the same format).
+ * @returns {object|Array} The decoded value.
+ * @throws {Error} If the text is not valid Brevit flattened output.
+ * @example
+ * decode('@u=user\n@u.name:John\n@u.tags[2]:a,b');
+ * // => { user: { name: 'John', tags: ['a', 'b'] } }
+ */
+export function decode(text) {
+  const entries = [];
+  const abbreviations = new Map();
+  const values = new Map();
+  let inHeader = true;
+  let pos = 0;
+  let lineNumber = 1;
+
+  while (pos < text.length) {
+    const newlineIndex = text.indexOf('\n', pos);
+    const lineEnd = newlineIndex === -1 ? text.length : newlineIndex;
+    const line = text.substring(pos, lineEnd);
+
+    // Blank lines, "# path: text" legend comments (only above the data; a
+    // "#tag:1" line is a key) and "...(+k more)" / "...(truncated)" budget
+    // markers carry no data
+    const isLegend = inHeader && line.startsWith('# ');
+    if (line.trim() === '' || isLegend || /^\.\.\.\((?:\+\d+ more|truncated)\)$/.test(line.trim())) {
+      pos = lineEnd + 1;
+      lineNumber++;
+      continue;
+    }
+
+    // Value definition: "$n=value", only above the data
+    const valueDefinition = inHeader ? /^(\$\d+)=/.exec(line) : null;
+    if (valueDefinition) {
+      values.set(valueDefinition[1], readValueDefinition(line.substring(valueDefinition[0].length), lineNumber));
+      pos = lineEnd + 1;
+      lineNumber++;
+      continue;
+    }
+
+    // Abbreviation definition: "@x=prefix"
+    const equalsIndex = indexOutsideQuotes(line, '=');
+    const colonIndex = indexOfPathEnd(line);
+    if (line.startsWith('@') && equalsIndex > 1 && (colonIndex === -1 || equalsIndex < colonIndex)) {
+      // Definitions may build on earlier ones: "@p=@c.profile"
+      abbreviations.set(line.substring(1, equalsIndex), expandAbbreviation(line.substring(equalsIndex + 1).trim(), abbreviations));
+      pos = lineEnd + 1;
+      lineNumber++;
+      continue;
+    }
+
+    if (colonIndex === -1) {
+      throw new Error(`[Brevit] Cannot decode line ${lineNumber}: expected "key:value".`);
+    }
+    inHeader = false;
+
+    const path = expandAbbreviation(line.substring(0, colonIndex).trim(), abbreviations);
+    const valueStart = pos + colonIndex + 1;
+
+    // Tabular block: "key[count]{field1,field2}:" followed by one row per element.
+    // Streamed blocks ("key[]{...}:") have no count: rows run until a blank
+    // line and are appended to the array.
+    const tabular = parseTabularHeader(path);
+    if (tabular) {
+      const streamed = tabular.count === '';
+      const count = streamed ? Infinity : Number(tabular.count);
+      // Fields are "name" or "name:type"; "str" columns keep numeric-looking text
+      const fields = tabular.fields === '' ? [] : splitOutsideQuotes(tabular.fields, ',').map(field => {
+        const typeIndex = indexOutsideQuotes(field, ':');
+        return {
+          path: parsePath((typeIndex === -1 ? field : field.substring(0, typeIndex)).trim()),
+          type: typeIndex === -1 ? null : field.substring(typeIndex + 1).trim(),
+        };
+      });
+      const rows = [];
+      pos = lineEnd + 1;
+      lineNumber++;
+      for (let i = 0; i < count; i++) {
+        if (streamed) {
+          const rowEnd = text.indexOf('\n', pos);
+          if (pos >= text.length || text.substring(pos, rowEnd === -1 ? text.length : rowEnd).trim() === '') break;
+        }
+        if (pos > text.length) {
+          throw new Error(`[Brevit] Tabular block "${path}" declares ${count} rows but only ${i} were found.`);
+        }
+        const { cells, tokens, end } = readCells(text, pos, lineNumber, values);
+        // Empty cells are missing fields; dotted fields rebuild nested objects
+        const rowHolder = { root: {} };
+        fields.forEach((field, index) => {
+          if (index < cells.length && cells[index] === undefined) return;
+          let value = index < cells.length ? cells[index] : null;
+          if (field.type === 'str' && typeof tokens[index] === 'string' && tokens[index] !== 'null') {
+            value = tokens[index];
+          }
+          assignPath(rowHolder, field.path, value);
+        });
+        rows.push(rowHolder.root);
+        lineNumber += countNewlines(text, pos, end) + 1;
+        pos = end + 1;
+      }
+      entries.push({ path: tabular.base, value: rows, tabular: true, append: streamed });
+      continue;
+    }
+
+    // "key[count]:a,b,c" is a primitive array, unless "key" is also addressed
+    // by index elsewhere, in which case it is a fallback element "key[index]:value"
+    const indexed = /^(.*)\[(\d+)\]$/.exec(path);
+    if (indexed) {
+      const { cells, end } = readCells(text, valueStart, lineNumber, values);
+      entries.push({ path, base: indexed[1], count: Number(indexed[2]), cells, raw: text.substring(valueStart, end), lineNumber });
+      lineNumber += countNewlines(text, pos, end) + 1;
+      pos = end + 1;
+      continue;
+    }
+
+    // Quoted scalar: "key:\"text\"" (Compact output may span several lines)
+    let valuePos = valueStart;
+    while (text[valuePos] === ' ' || text[valuePos] === '\t') valuePos++;
+    if (text[valuePos] === '"') {
+      const { value, end } = readQuoted(text, valuePos, lineNumber);
+      let next = end;
+      while (text[next] === ' ' || text[next] === '\t' || text[next] === '\r') next++;
+      if (next < text.length && text[next] !== '\n') {
+        throw new Error(`[Brevit] Unexpected character after quoted value on line ${lineNumber}.`);
+      }
+      entries.push({ path, value });
+      lineNumber += countNewlines(text, pos, next) + 1;
+      pos = next + 1;
+      continue;
+    }
+
+    entries.push({ path, value: decodeToken(line.substring(colonIndex + 1), values) });
+    pos = lineEnd + 1;
+    lineNumber++;
+  }
+
+  // Count how often each "base" is used as an indexed container
+  const indexedBases = new Map();
+  entries.forEach(entry => {
+    const fullPath = entry.tabular ? `${entry.path}[]` : entry.path;
+    for (let i = indexOutsideQuotes(fullPath, '['); i !== -1; i = indexOutsideQuotes(fullPath, '[', i + 1)) {
+      const base = fullPath.substring(0, i);
+      indexedBases.set(base, (indexedBases.get(base) || 0) + 1);
+    }
+  });
+
+  const holder = {};
+  entries.forEach(entry => {
+    if (entry.base !== undefined) {
+      // "key[0]:value" can't be an array declaration (empty arrays are "key:[]")
+      if (indexedBases.get(entry.base) > 1 || entry.count === 0) {
+        assignPath(holder, parsePath(entry.path), decodeElement(entry.raw, values, entry.lineNumber));
+        return;
+      }
+      if (entry.cells.length !== entry.count) {
+        throw new Error(`[Brevit] Array "${entry.path}" declares ${entry.count} values but ${entry.cells.length} were found.`);
+      }
+      assignPath(holder, parsePath(entry.base), entry.cells.map(cell => (cell === undefined ? '' : cell)));
+      return;
+    }
+    if (entry.append) {
+      const segments = parsePath(entry.path);
+      const existing = getPath(holder, ['root', ...segments]);
+      if (Array.isArray(existing)) {
+        existing.push(...entry.value);
+        return;
+      }
+    }
+    assignPath(holder, parsePath(entry.path), entry.value);
+  });
+
+  return holder.root === undefined ? {} : holder.root;
+}
+
+/**
+ * Replaces a leading "@x" alias in a path ("@x.name", "@x[0]") with its
+ * defined prefix. Paths starting with "@" that do not match a definition
+ * are kept as-is.
+ * @param {string} path - The (possibly abbreviated) path
+ * @param {Map<string, string>} abbreviations - Map of alias to prefix
+ * @returns {string} The expanded path
+ */
+function expandAbbreviation(path, abbreviations) {
+  if (!path.startsWith('@') || abbreviations.size === 0) return path;
+
+  const match = /^@([^.[]*)/.exec(path);
+  if (!abbreviations.has(match[1])) return path;
+  return abbreviations.get(match[1]) + path.substring(match[0].length);
+}
+
+/**
+ * Splits a flattened path into object keys and array indexes.
+ * @param {string} path - A path such as "order.items[0].sku" or 'config."a.b"'
+ * @returns {Array<string|number>} Path segments
+ */
+function parsePath(path) {
+  const segments = [];
+  let current = '';
+  let hasCurrent = false;
+
+  for (let i = 0; i < path.length; i++) {
+    const ch = path[i];
+    if (ch === '"' && !hasCurrent) {
+      const { value, end } = readQuoted(path, i, 1);
+      current = value;
+      hasCurrent = true;
+      i = end - 1;
+    } else if (ch === '.') {
+      if (hasCurrent) segments.push(current);
+      current = '';
+      hasCurrent = false;
+    } else if (ch === '[') {
+      const close = path.indexOf(']', i);
+      const index = close === -1 ? '' : path.substring(i + 1, close);
+      if (/^\d+$/.test(index)) {
+        if (hasCurrent) segments.push(current);
+        segments.push(Number(index));
+        current = '';
+        hasCurrent = false;
+        i = close;
+      } else {
+        current += ch;
+        hasCurrent = true;
+      }
+    } else {
+      current += ch;
+      hasCurrent = true;
+    }
+  }
+  if (hasCurrent) segments.push(current);
+
+  return segments;
+}
+
+/**
+ * Sets a value at the given path, creating objects and arrays as needed.
+ * @param {object} holder - Object whose `root` property receives the decoded value
+ * @param {Array<string|number>} segments - Path segments
+ * @param {any} value - The value to assign
+ */
+function assignPath(holder, segments, value) {
+  let parent = holder;
+  let key = 'root';
+
+  segments.forEach(segment => {
+    if (!Object.prototype.hasOwnProperty.call(parent, key) || typeof parent[key] !== 'object' || parent[key] === null) {
+      setOwnProperty(parent, key, typeof segment === 'number' ? [] : {});
+    }
+    parent = parent[key];
+    key = segment;
+  });
+
+  setOwnProperty(parent, key, value);
+}
+
+/**
+ * Assigns an own property, treating "__proto__" as a plain key so decoded or
+ * filtered data can never modify a prototype.
+ * @param {object} target - The object or array to assign on
+ * @param {string|number} key - Property name or index
+ * @param {any} value - The value to assign
+ */
+function setOwnProperty(target, key, value) {
+  if (key === '__proto__') {
+    Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * Parses a JSONPath-style selector into segments. Supported syntax:
+ * `a.b`, `$.a.b`, `*`, `items[*].sku`, `items[2]`, `items[-1]`,
+ * `items[0:5]` / `items[::2]` slices, `..id` recursive descent and
+ * `['key.with.dots']` quoted keys.
+ * @param {string} selector - The selector
+ * @returns {Array<object>} Segments: {type: 'key'|'wildcard'|'index'|'slice'|'descent', ...}
+ * @throws {Error} If the selector is malformed
+ */
+function parseJsonPath(selector) {
+  const segments = [];
+  const fail = () => {
+    throw new Error(`[Brevit] Invalid JSON path "${selector}".`);
+  };
+  let pos = selector.startsWith('$') ? 1 : 0;
+  let expectName = pos === 0;
+
+  while (pos < selector.length) {
+    if (selector.startsWith('..', pos)) {
+      segments.push({ type: 'descent' });
+      pos += 2;
+      expectName = true;
+      continue;
+    }
+    if (selector[pos] === '.') {
+      pos++;
+      expectName = true;
+      continue;
+    }
+    if (selector[pos] === '[') {
+      const close = selector.indexOf(']', pos);
+      if (close === -1) fail();
+      const inner = selector.substring(pos + 1, close).trim();
+      const quoted = /^(['"])(.*)\1$/.exec(inner);
+      if (quoted) {
+        segments.push({ type: 'key', name: quoted[2] });
+      } else if (inner === '*') {
+        segments.push({ type: 'wildcard' });
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push({ type: 'index', index: Number(inner) });
+      } else if (/^(-?\d*):(-?\d*)(?::(-?\d*))?$/.test(inner)) {
+        const [start, end, step] = inner.split(':').map(part => (part === '' || part === undefined ? null : Number(part)));
+        if (step === 0) fail();
+        segments.push({ type: 'slice', start, end, step: step ?? 1 });
+      } else {
+        fail();
+      }
+      pos = close + 1;
+      expectName = false;
+      continue;
+    }
+    if (!expectName) fail();
+
+    let end = pos;
+    while (end < selector.length && selector[end] !== '.' && selector[end] !== '[') end++;
+    const name = selector.substring(pos, end);
+    segments.push(name === '*' ? { type: 'wildcard' } : { type: 'key', name });
+    pos = end;
+    expectName = false;
+  }
+
+  if (segments.length === 0 || segments[segments.length - 1].type === 'descent') fail();
+  return segments;
+}
+
+/**
+ * Finds every concrete path in `root` matched by parsed selector segments.
+ * @param {any} root - The data to search
+ * @param {Array<object>} segments - Segments from parseJsonPath
+ * @returns {Array<Array<string|number>>} Matched paths (deduplicated, in document order)
+ */
+function selectJsonPaths(root, segments) {
+  const results = [];
+  const seen = new Set();
+
+  const visit = (node, index, path) => {
+    if (index === segments.length) {
+      const id = JSON.stringify(path);
+      if (!seen.has(id)) {
+        seen.add(id);
+        results.push(path);
+      }
+      return;
+    }
+
+    const segment = segments[index];
+    const isObject = node !== null && typeof node === 'object' && !Array.isArray(node);
+    const isArray = Array.isArray(node);
+
+    switch (segment.type) {
+      case 'key':
+        if (isObject && Object.prototype.hasOwnProperty.call(node, segment.name)) {
+          visit(node[segment.name], index + 1, [...path, segment.name]);
+        }
+        break;
+
+      case 'wildcard':
+        if (isArray) {
+          node.forEach((item, i) => visit(item, index + 1, [...path, i]));
+        } else if (isObject) {
+          Object.keys(node).forEach(key => visit(node[key], index + 1, [...path, key]));
+        }
+        break;
+
+      case 'index':
+        if (isArray) {
+          const i = segment.index < 0 ? node.length + segment.index : segment.index;
+          if (i >= 0 && i < node.length) visit(node[i], index + 1, [...path, i]);
+        }
+        break;
+
+      case 'slice':
+        if (isArray) {
+          sliceIndexes(node.length, segment).forEach(i => visit(node[i], index + 1, [...path, i]));
+        }
+        break;
+
+      case 'descent':
+        // Match the rest of the selector here and at every depth below
+        visit(node, index + 1, path);
+        if (isArray) {
+          node.forEach((item, i) => visit(item, index, [...path, i]));
+        } else if (isObject) {
+          Object.keys(node).forEach(key => visit(node[key], index, [...path, key]));
+        }
+        break;
+    }
+  };
+
+  visit(root, 0, []);
+  return results;
+}
+
+/**
+ * Resolves a slice segment (Python-style start/end/step) to array indexes.
+ * @param {number} length - Array length
+ * @param {{start: number|null, end: number|null, step: number}} slice - Slice bounds
+ * @returns {Array<number>} Indexes in ascending order
+ */
+function sliceIndexes(length, { start, end, step }) {
+  const clamp = (value, fallback) => {
+    if (value === null) return fallback;
+    const resolved = value < 0 ? length + value : value;
+    return Math.min(Math.max(resolved, step > 0 ? 0 : -1), step > 0 ? length : length - 1);
+  };
+  const indexes = [];
+  if (step > 0) {
+    for (let i = clamp(start, 0); i < clamp(end, length); i += step) indexes.push(i);
+  } else {
+    for (let i = clamp(start, length - 1); i > clamp(end, -1); i += step) indexes.push(i);
+  }
+  return indexes.sort((a, b) => a - b);
+}
+
+/**
+ * Reads the value at a concrete path.
+ * @param {any} root - The data
+ * @param {Array<string|number>} path - Path segments
+ * @returns {any} The value, or undefined if the path does not exist
+ */
+function getPath(root, path) {
+  return path.reduce((node, segment) => (node === null || node === undefined ? undefined : node[segment]), root);
+}
+
+/**
+ * Deep-copies plain objects and arrays; other values are shared.
+ * @param {any} value - The value to copy
+ * @returns {any} The copy
+ */
+function cloneJsonData(value) {
+  return mapJsonData(value, cloneJsonData);
+}
+
+/**
+ * Removes holes left in arrays by filtering, recursively and in place.
+ * @param {any} value - The value to compact
+ * @returns {any} The same value, with dense arrays
+ */
+function compactArrays(value) {
+  if (Array.isArray(value)) {
+    const dense = value.filter(() => true);
+    value.length = 0;
+    dense.forEach(item => value.push(compactArrays(item)));
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => compactArrays(value[key]));
+  }
+  return value;
+}
+
+/**
+ * Deletes every path matched by the given selectors, in place.
+ * @param {any} data - The data to prune
+ * @param {string[]} selectors - JSONPath-style selectors
+ * @returns {any} The same data, with dense arrays
+ */
+function removeJsonPaths(data, selectors) {
+  selectors.forEach(selector => {
+    selectJsonPaths(data, parseJsonPath(selector)).forEach(path => {
+      const parent = getPath(data, path.slice(0, -1));
+      if (parent !== null && typeof parent === 'object') {
+        delete parent[path[path.length - 1]];
+      }
+    });
+  });
+  return compactArrays(data);
+}
+
+/**
+ * Reads comma-separated cells up to the next unquoted newline.
+ * Quoted cells may contain commas, newlines and JSON-style escapes, and
+ * "[a;b]" cells are inline arrays. Empty unquoted cells are `undefined`.
+ * @param {string} text - The full text
+ * @param {number} start - Index to start reading from
+ * @param {number} lineNumber - Current line, for error messages
+ * @param {Map<string, Object>} [values] - Value definitions, by reference (see readValueDefinition)
+ * @returns {{cells: Array<any>, tokens: Array<string|null>, end: number}} Decoded cells, the raw
+ *   text of unquoted cells (null for quoted and inline array cells) and the index of the terminating newline
+ */
+function readCells(text, start, lineNumber, values = new Map()) {
+  const cells = [];
+  const tokens = [];
+  let pos = start;
+
+  while (true) {
+    while (text[pos] === ' ' || text[pos] === '\t') pos++;
+
+    if (text[pos] === '"') {
+      const quoted = readQuoted(text, pos, lineNumber);
+      const value = quoted.value;
+      pos = quoted.end;
+      while (text[pos] === ' ' || text[pos] === '\t' || text[pos] === '\r') pos++;
+      cells.push(value);
+      tokens.push(null);
+    } else {
+      const inline = text[pos] === '[' ? readInlineArray(text, pos, lineNumber, values) : null;
+      if (inline) {
+        cells.push(inline.value);
+        tokens.push(null);
+        pos = inline.end;
+      } else {
+        let end = pos;
+        while (end < text.length && text[end] !== ',' && text[end] !== '\n') end++;
+        const token = text.substring(pos, end);
+        const reference = values.get(token.trim());
+        cells.push(token.trim() === '' ? undefined : reference ? reference.value : decodeScalar(token));
+        tokens.push(reference ? reference.token : token.trim());
+        pos = end;
+      }
+    }
+
+    if (text[pos] === ',') {
+      pos++;
+      continue;
+    }
+    if (pos < text.length && text[pos] !== '\n') {
+      throw new Error(`[Brevit] Unexpected character after quoted value on line ${lineNumber}.`);
+    }
+    return { cells, tokens, end: pos };
+  }
+}
+
+// Escape sequences understood inside quoted keys and values
+const QUOTE_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Reads a double-quoted string. Recognizes JSON escapes (`\"`, `\\`, `\n`,
+ * `\uXXXX`, ...); any other backslash is kept literally.
+ * @param {string} text - The full text
+ * @param {number} start - Index of the opening quote
+ * @param {number} lineNumber - Current line, for error messages
+ * @returns {{value: string, end: number}} The string and the index after the closing quote
+ */
+function readQuoted(text, start, lineNumber) {
+  let value = '';
+  let pos = start + 1;
+
+  while (pos < text.length) {
+    const ch = text[pos];
+    if (ch === '"') {
+      return { value, end: pos + 1 };
+    }
+    if (ch === '\\') {
+      const next = text[pos + 1];
+      if (Object.prototype.hasOwnProperty.call(QUOTE_ESCAPES, next)) {
+        value += QUOTE_ESCAPES[next];
+        pos += 2;
+        continue;
+      }
+      const hex = text.substring(pos + 2, pos + 6);
+      if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(hex)) {
+        value += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+        continue;
+      }
+    }
+    value += ch;
+    pos++;
+  }
+
+  throw new Error(`[Brevit] Unterminated quoted value starting on line ${lineNumber}.`);
+}
+
+/**
+ * Splits a tabular header path "key[count]{field1,field2}" into its parts.
+ * Braces inside quoted keys are ignored.
+ * @param {string} path - The (expanded) path before the colon
+ * @returns {{base: string, count: string, fields: string}|null} The parts, or null if not a tabular header
+ */
+function parseTabularHeader(path) {
+  const braceIndex = indexOutsideQuotes(path, '{');
+  if (braceIndex === -1 || !path.endsWith('}')) return null;
+  const count = /\[(\d*)\]$/.exec(path.substring(0, braceIndex));
+  if (!count) return null;
+  return {
+    base: path.substring(0, braceIndex - count[0].length),
+    count: count[1],
+    fields: path.substring(braceIndex + 1, path.length - 1),
+  };
+}
+
+/**
+ * Finds a character outside quoted keys. A quote only opens a quoted key at
+ * the start of a segment (after `.`, `,`, `[` or `{`), so stray quotes in
+ * Compact-mode keys are treated literally.
+ * @param {string} text - Text to search
+ * @param {string} char - The character to find
+ * @param {number} start - Index to start searching from
+ * @returns {number} Index of the character, or -1
+ */
+function indexOutsideQuotes(text, char, start = 0) {
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === char) return i;
+    if (ch === '"' && (i === 0 || '.,[{'.includes(text[i - 1]))) {
+      const close = findClosingQuote(text, i);
+      if (close === -1) return -1;
+      i = close;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Finds the colon that ends the path of a line, skipping quoted keys and
+ * the "{field:type,...}" list of a tabular header.
+ * @param {string} line - The line
+ * @returns {number} Index of the colon, or -1
+ */
+function indexOfPathEnd(line) {
+  const colonIndex = indexOutsideQuotes(line, ':');
+  const braceIndex = indexOutsideQuotes(line, '{');
+  if (braceIndex === -1 || colonIndex < braceIndex) return colonIndex;
+  const closeIndex = indexOutsideQuotes(line, '}', braceIndex);
+  return closeIndex === -1 ? colonIndex : indexOutsideQuotes(line, ':', closeIndex);
+}
+
+/**
+ * Returns the index of the quote closing the quoted string starting at `start`.
+ * @param {string} text - The text
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index of the closing quote, or -1
+ */
+function findClosingQuote(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '"') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Splits text on a separator that is outside quoted keys.
+ * @param {string} text - The text
+ * @param {string} separator - Single-character separator
+ * @returns {string[]} The parts
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let start = 0;
+  for (let i = indexOutsideQuotes(text, separator); i !== -1; i = indexOutsideQuotes(text, separator, start)) {
+    parts.push(text.substring(start, i));
+    start = i + 1;
+  }
+  parts.push(text.substring(start));
+  return parts;
+}
+
+/**
+ * Quotes a Compact-mode value, escaping backslashes and quotes.
+ * @param {string} str - The value
+ * @returns {string} The quoted value
+ */
+function quoteString(str) {
+  return `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Checks if a string must be quoted in Strict mode: it would decode as
+ * another type or lose whitespace, or contains separators, quotes,
+ * backslashes or control characters.
+ * @param {string} str - The value
+ * @returns {boolean} True if the value needs quotes
+ */
+function isAmbiguousString(str) {
+  return str === '' ||
+    decodeScalar(str) !== str ||
+    isInlineArrayLike(str) ||
+    /[,"\\\u0000-\u001f\u007f\u2028\u2029]/.test(str);
+}
+
+/**
+ * Checks if a string would be read back as an inline array cell ("[a;b]").
+ * @param {string} str - The value
+ * @returns {boolean} True if the value starts with "[" and ends with "]"
+ */
+function isInlineArrayLike(str) {
+  return str.startsWith('[') && str.endsWith(']');
+}
+
+/**
+ * Returns the path of a flattened line, without the "[count]{fields}" of
+ * arrays and tabular headers.
+ * @param {string} line - A line of flattened output
+ * @returns {string} The path
+ */
+function flattenedPath(line) {
+  const colonIndex = indexOfPathEnd(line);
+  if (colonIndex > 0) {
+    return splitArraySuffix(line.substring(0, colonIndex))[0];
+  }
+  return line.split(':')[0];
+}
+
+/**
+ * Splits the path of a line into its base and the trailing "[count]" or
+ * "[count]{fields}" of an array or tabular header.
+ * @param {string} path - The path, e.g. "orders[0].items[2]{sku,qty}"
+ * @returns {Array<string>} `[base, suffix]`, e.g. `["orders[0].items", "[2]{sku,qty}"]`
+ */
+function splitArraySuffix(path) {
+  const header = parseTabularHeader(path);
+  if (header && header.base) return [header.base, path.substring(header.base.length)];
+  const count = /\[\d*\]$/.exec(path);
+  if (!header && count && count.index > 0) return [path.substring(0, count.index), count[0]];
+  return [path, ''];
+}
+
+/**
+ * Lists the prefixes of a path that abbreviations can replace: every part
+ * ending before a "." or "[" outside quoted keys.
+ * @param {string} path - The path, e.g. "orders[0].sku"
+ * @returns {Array<string>} The prefixes, shortest first, e.g. `["orders", "orders[0]"]`
+ */
+function pathPrefixes(path) {
+  const prefixes = [];
+  for (let i = 0; i < path.length; i++) {
+    const ch = path[i];
+    if (ch === '"' && (i === 0 || '.['.includes(path[i - 1]))) {
+      const close = findClosingQuote(path, i);
+      if (close === -1) break;
+      i = close;
+    } else if ((ch === '.' || ch === '[') && i > 0) {
+      prefixes.push(path.substring(0, i));
+    }
+  }
+  return prefixes;
+}
+
+/**
+ * Checks an abbreviation dictionary and turns it into the prefix -> alias
+ * map used by the flattener.
+ * @param {Object} dictionary - `{ prefix: alias }`
+ * @returns {Map<string, string>} The abbreviation map
+ * @throws {TypeError} For aliases that can't be decoded or are used twice
+ */
+function dictionaryToMap(dictionary) {
+  if (!isPlainObject(dictionary)) {
+    throw new TypeError('[Brevit] abbreviationDictionary must be an object of { prefix: alias }');
+  }
+  const map = new Map();
+  const aliases = new Set();
+  for (const [prefix, alias] of Object.entries(dictionary)) {
+    if (typeof alias !== 'string' || !/^\w+$/.test(alias) || prefix === '') {
+      throw new TypeError(`[Brevit] Invalid abbreviation "${alias}" for "${prefix}"; aliases are letters, digits or "_"`);
+    }
+    if (aliases.has(alias)) {
+      throw new TypeError(`[Brevit] Abbreviation "${alias}" is used for more than one prefix`);
+    }
+    aliases.add(alias);
+    map.set(prefix, alias);
+  }
+  return map;
+}
+
+/**
+ * Checks if a value is a plain object (not an array, null or a class instance).
+ * @param {any} value - The value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Checks if a key must be quoted in Strict mode because it contains path
+ * syntax, would be trimmed or could be read as an abbreviation.
+ * @param {string} key - The key
+ * @returns {boolean} True if the key needs quotes
+ */
+function isAmbiguousKey(key) {
+  return key === '' ||
+    key !== key.trim() ||
+    key.startsWith('@') ||
+    key.startsWith('#') ||
+    /[.[\]{}:,="\\\u0000-\u001f\u007f\u2028\u2029]/.test(key);
+}
+
+/**
+ * Reads an inline array cell "[a;b;c]". Items may be quoted.
+ * @param {string} text - The full text
+ * @param {number} start - Index of the opening bracket
+ * @param {number} lineNumber - Current line, for error messages
+ * @param {Map<string, Object>} [values] - Value definitions, by reference
+ * @returns {{value: Array<any>, end: number}|null} The array and the index after the cell, or null if the cell is not an inline array
+ */
+function readInlineArray(text, start, lineNumber, values = new Map()) {
+  const value = [];
+  let pos = start + 1;
+
+  if (text[pos] !== ']') {
+    while (true) {
+      while (text[pos] === ' ' || text[pos] === '\t') pos++;
+      if (text[pos] === '"') {
+        const quoted = readQuoted(text, pos, lineNumber);
+        value.push(quoted.value);
+        pos = quoted.end;
+      } else {
+        let end = pos;
+        while (end < text.length && !';],\n'.includes(text[end])) end++;
+        value.push(decodeToken(text.substring(pos, end), values));
+        pos = end;
+      }
+      if (text[pos] === ';') {
+        pos++;
+        continue;
+      }
+      if (text[pos] !== ']') return null;
+      break;
+    }
+  }
+
+  // Only a whole cell counts: "[draft] notes" is a plain string
+  let end = pos + 1;
+  while (text[end] === ' ' || text[end] === '\t' || text[end] === '\r') end++;
+  if (end < text.length && text[end] !== ',' && text[end] !== '\n') return null;
+  return { value, end };
+}
+
+/**
+ * Counts newlines between two indexes (used to keep line numbers accurate
+ * when quoted values span several lines).
+ * @param {string} text - The full text
+ * @param {number} start - Start index (inclusive)
+ * @param {number} end - End index (exclusive)
+ * @returns {number} Number of newline characters
+ */
+function countNewlines(text, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    if (text[i] === '\n') count++;
+  }
+  return count;
+}
+
+/**
+ * Converts an unquoted token back to a JS value.
+ * @param {string} token - The raw token
+ * @returns {any} null, boolean, number, an empty array/object for "[]"/"{}" or the trimmed string
+ */
+function decodeScalar(token) {
+  const value = token.trim();
+  if (value === 'null') return null;
+  if (value === '[]') return [];
+  if (value === '{}') return {};
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Decodes an unquoted token, expanding a "$n" value reference.
+ * @param {string} token - The raw token
+ * @param {Map<string, Object>} values - Value definitions, by reference
+ * @returns {any} The decoded value
+ */
+function decodeToken(token, values) {
+  const reference = values.get(token.trim());
+  return reference ? reference.value : decodeScalar(token);
+}
+
+/**
+ * Decodes the value of a fallback element line ("key[i]:value"): one
+ * scalar, quoted or not, rather than a list of cells.
+ * @param {string} raw - The text after ":"
+ * @param {Map<string, Object>} values - Value definitions
+ * @param {number} lineNumber - Line of the element, for error messages
+ * @returns {any} The value
+ */
+function decodeElement(raw, values, lineNumber) {
+  const start = raw.length - raw.trimStart().length;
+  if (raw[start] !== '"') return decodeToken(raw, values);
+  const { value, end } = readQuoted(raw, start, lineNumber);
+  if (raw.substring(end).trim() !== '') {
+    throw new Error(`[Brevit] Unexpected character after quoted value on line ${lineNumber}.`);
+  }
+  return value;
+}
+
+/**
+ * Reads the value of a "$n=value" definition, written like a scalar after
+ * "key:". The raw token is kept for "str" columns (null when quoted).
+ * @param {string} text - The text after "="
+ * @param {number} lineNumber - Current line, for error messages
+ * @returns {{value: any, token: string|null}} The value and its raw token
+ */
+function readValueDefinition(text, lineNumber) {
+  const start = text.length - text.trimStart().length;
+  if (text[start] !== '"') {
+    return { value: decodeScalar(text), token: text.trim() };
+  }
+  const { value, end } = readQuoted(text, start, lineNumber);
+  if (text.substring(end).trim() !== '') {
+    throw new Error(`[Brevit] Unexpected character after quoted value on line ${lineNumber}.`);
+  }
+  return { value, token: null };
+}
+
+// Built-in detectors in the order they run; earlier ones win overlapping text
+const REDACTION_DETECTORS = [
+  { type: RedactionType.Jwt, pattern: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]*/g },
+  {
+    type: RedactionType.ApiKey,
+    pattern: /\b(?:(?:sk|pk|rk)[-_](?=[\w-]*\d)[\w-]{16,}|AKIA[0-9A-Z]{16}\b|gh[pousr]_\w{30,}|github_pat_\w{20,}|xox[abprs]-[\w-]{10,}|AIza[\w-]{35})/g,
+  },
+  // The local part starts at a boundary and is capped, so long word runs (hashes, base64) stay linear
+  { type: RedactionType.Email, pattern: /(?<![\w.%+-])[\w.%+-]{1,64}@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  { type: RedactionType.Iban, pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, validate: isValidIban },
+  { type: RedactionType.CreditCard, pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: isCardNumber },
+  {
+    type: RedactionType.Phone,
+    // "+cc", an area code, then groups of 3-4 digits ending in 4, with one separator
+    // style; no letters or further digit groups on either side (order IDs, tracking numbers)
+    pattern: /(?<![\w+.-])(?<!\d\w*[ .-])(?:\+\d{8,15}|(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\) ?\d{3,4}[ .-]\d{4}|\d{2,4}([ .-])(?:\d{3,4}\1){0,2}\d{4}))(?![\w:]|[ .-]?\d)/g,
+    validate: isPhoneNumber,
+    // Numbers carry no "+" or separators: a North American number with its country code
+    bare: /^1[2-9]\d{9}$/,
+  },
+];
+
+// A placeholder made by Redactions, e.g. <EMAIL_1>
+const REDACTION_PLACEHOLDER = /(<[A-Z][A-Z0-9_]*_[1-9]\d*>)/g;
+
+/**
+ * Mapping between placeholders and the sensitive values they replace,
+ * filled in by the `redact` option. The same value always gets the same
+ * placeholder (`<EMAIL_1>`, `<EMAIL_2>`, `<PHONE_1>`, ...), so reuse one
+ * instance across the calls of a conversation, then restore() the originals
+ * into the model's response. toJSON() gives a plain mapping that can be
+ * stored and passed back to the constructor.
+ *
+ * @example
+ * const redactions = new Redactions();
+ * const context = await brevit.optimize(ticket, { redact: true, redactions });
+ * const answer = redactions.restore(await callModel(context));
+ */
+export class Redactions {
+  /**
+   * @param {Object} [mapping] - `{ placeholder: original }`, e.g. from toJSON()
+   * @throws {TypeError} For a mapping that isn't an object or has invalid placeholders
+   */
+  constructor(mapping = {}) {
+    if (!isPlainObject(mapping)) {
+      throw new TypeError('[Brevit] A redaction mapping must be an object of placeholders');
+    }
+    this._originals = new Map();
+    this._placeholders = new Map();
+    this._counts = new Map();
+
+    Object.entries(mapping).forEach(([placeholder, original]) => {
+      const match = /^<([A-Z][A-Z0-9_]*)_([1-9]\d*)>$/.exec(placeholder);
+      if (!match) {
+        throw new TypeError(`[Brevit] Invalid redaction placeholder "${placeholder}"`);
+      }
+      const [, type, number] = match;
+      this._originals.set(placeholder, String(original));
+      this._placeholders.set(`${type}\u0000${original}`, placeholder);
+      this._counts.set(type, Math.max(this._counts.get(type) || 0, Number(number)));
+    });
+  }
+
+  /**
+   * Number of placeholders.
+   * @returns {number}
+   */
+  get size() {
+    return this._originals.size;
+  }
+
+  /**
+   * Returns the placeholder for a value, creating the next one of its type.
+   * @param {string} type - Placeholder name, e.g. 'EMAIL' (see RedactionType)
+   * @param {string} value - The sensitive value
+   * @returns {string} The placeholder, e.g. '<EMAIL_1>'
+   */
+  placeholder(type, value) {
+    const key = `${type}\u0000${value}`;
+    let placeholder = this._placeholders.get(key);
+    if (!placeholder) {
+      const number = (this._counts.get(type) || 0) + 1;
+      this._counts.set(type, number);
+      placeholder = `<${type}_${number}>`;
+      this._placeholders.set(key, placeholder);
+      this._originals.set(placeholder, value);
+    }
+    return placeholder;
+  }
+
+  /**
+   * Checks if a placeholder is known.
+   * @param {string} placeholder - The placeholder
+   * @returns {boolean} True if this mapping made it
+   */
+  has(placeholder) {
+    return this._originals.has(placeholder);
+  }
+
+  /**
+   * Returns the original value of a placeholder.
+   * @param {string} placeholder - The placeholder
+   * @returns {string|undefined} The original, or undefined for unknown placeholders
+   */
+  get(placeholder) {
+    return this._originals.get(placeholder);
+  }
+
+  /**
+   * Puts the originals back into a model response; see restore().
+   * @param {any} value - Text, or parsed JSON data
+   * @returns {any} The restored copy
+   */
+  restore(value) {
+    return restore(value, this);
+  }
+
+  /**
+   * @returns {Object} The mapping, `{ placeholder: original }`
+   */
+  toJSON() {
+    return Object.fromEntries(this._originals);
+  }
+}
+
+/**
+ * Replaces the placeholders made by the `redact` option with the original
+ * values, e.g. in the model's response. Strings, and the keys and strings
+ * of objects and arrays (such as parsed tool call arguments), are restored;
+ * unknown placeholders are left as they are.
+ *
+ * @param {any} value - Text, or parsed JSON data
+ * @param {Redactions|Object} redactions - The Redactions used for the request, or its toJSON() mapping
+ * @returns {any} The restored copy
+ * @example
+ * restore('Sent to <EMAIL_1>', { '<EMAIL_1>': 'ada@example.com' });
+ * // => 'Sent to ada@example.com'
+ */
+export function restore(value, redactions) {
+  const mapping = redactions instanceof Redactions ? redactions : new Redactions(redactions);
+  if (typeof value === 'string') {
+    return value.replace(REDACTION_PLACEHOLDER, placeholder => (mapping.has(placeholder) ? mapping.get(placeholder) : placeholder));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => restore(item, mapping));
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => setOwnProperty(result, restore(key, mapping), restore(item, mapping)));
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Resolves the `redact` option into detectors and parsed path rules.
+ * @param {boolean|Object|null} option - true, `{ types, patterns, allowPaths, denyPaths }`, or null/false
+ * @returns {Object|null} `{ detectors, allowPaths, denyPaths }`, or null when redaction is off
+ * @throws {TypeError} For unknown types, invalid pattern names or a malformed option
+ */
+function compileRedaction(option) {
+  if (!option) return null;
+  if (option !== true && !isPlainObject(option)) {
+    throw new TypeError('[Brevit] The redact option must be true or an object');
+  }
+  const {
+    types = Object.values(RedactionType),
+    patterns = {},
+    allowPaths = [],
+    denyPaths = [],
+  } = option === true ? {} : option;
+
+  const builtIn = new Set(Object.values(RedactionType));
+  types.forEach(type => {
+    if (!builtIn.has(type)) {
+      throw new TypeError(`[Brevit] Unknown redaction type "${type}"; use one of ${[...builtIn].join(', ')}`);
+    }
+  });
+
+  // Custom patterns run first, so they can claim values a built-in would also match
+  const detectors = Object.entries(patterns).map(([name, pattern]) => {
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+      throw new TypeError(`[Brevit] Invalid redaction pattern name "${name}"; use letters, digits and underscores`);
+    }
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    return { type: name.toUpperCase(), pattern: new RegExp(regex.source, regex.flags.replace(/[gy]/g, '') + 'g') };
+  });
+  REDACTION_DETECTORS.forEach(detector => {
+    if (types.includes(detector.type)) detectors.push(detector);
+  });
+
+  return { detectors, allowPaths: allowPaths.map(parseJsonPath), denyPaths: denyPaths.map(parseJsonPath) };
+}
+
+/**
+ * Replaces detected values in a text with placeholders. Placeholders
+ * already in the mapping are left alone, so redacting twice is harmless.
+ * @param {string} text - The text
+ * @param {Object} rules - From compileRedaction()
+ * @param {Redactions} redactions - Mapping to add to
+ * @returns {string} The redacted text
+ */
+function redactText(text, rules, redactions) {
+  return text.split(REDACTION_PLACEHOLDER).map((part, index) => {
+    if (index % 2 === 1 && redactions.has(part)) return part;
+    return rules.detectors.reduce((result, { type, pattern, validate }) => result.replace(pattern, match => (
+      match !== '' && (!validate || validate(match)) ? redactions.placeholder(type, match) : match
+    )), part);
+  }).join('');
+}
+
+/**
+ * Redacts normalized data: string values and keys are scanned for
+ * sensitive values, and numbers a detector matches in full are replaced,
+ * except under `allowPaths`; every scalar under `denyPaths` is replaced
+ * whole (deny wins over allow).
+ * @param {any} data - Plain data
+ * @param {Object} rules - From compileRedaction()
+ * @param {Redactions} redactions - Mapping to add to
+ * @returns {any} The redacted copy
+ */
+function redactData(data, rules, redactions) {
+  const pathIds = selectors => new Set(selectors.flatMap(segments => (
+    selectJsonPaths(data, segments).map(path => JSON.stringify(path))
+  )));
+  const allowed = pathIds(rules.allowPaths);
+  const denied = pathIds(rules.denyPaths);
+  const trackPaths = allowed.size > 0 || denied.size > 0;
+
+  const walk = (value, path, mode) => {
+    if (trackPaths) {
+      const id = JSON.stringify(path);
+      if (denied.has(id)) mode = 'deny';
+      else if (allowed.has(id) && mode !== 'deny') mode = 'allow';
+    }
+    const child = key => (trackPaths ? [...path, key] : path);
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => walk(item, child(index), mode));
+    }
+    if (isPlainObject(value)) {
+      const result = {};
+      Object.entries(value).forEach(([key, item]) => {
+        const name = mode === 'allow' ? key : redactText(key, rules, redactions);
+        setOwnProperty(result, name, walk(item, child(key), mode));
+      });
+      return result;
+    }
+    if (mode === 'deny' && value !== null && !redactions.has(value)) {
+      const text = String(value);
+      return redactions.placeholder(detectRedactionType(text, rules) || 'REDACTED', text);
+    }
+    // Card and phone numbers are often stored as JSON numbers; they are replaced whole
+    if (mode === 'detect' && typeof value === 'number' && Number.isFinite(value)) {
+      const text = String(value);
+      const type = detectRedactionType(text, rules);
+      return type ? redactions.placeholder(type, text) : value;
+    }
+    return mode === 'detect' && typeof value === 'string' ? redactText(value, rules, redactions) : value;
+  };
+
+  return walk(data, [], 'detect');
+}
+
+/**
+ * Finds the detector that matches a whole value, which names its placeholder.
+ * @param {string} value - The value
+ * @param {Object} rules - From compileRedaction()
+ * @returns {string|null} The placeholder type, or null if no detector matches it in full
+ */
+function detectRedactionType(value, rules) {
+  const detector = rules.detectors.find(({ pattern, validate, bare }) => {
+    if (bare && bare.test(value)) return true;
+    const [match] = value.match(pattern) || [];
+    return match === value && (!validate || validate(match));
+  });
+  return detector ? detector.type : null;
+}
+
+/**
+ * Adds a new Redactions to call options when redaction is on and the caller
+ * didn't pass one, so every item of a batch call shares the placeholders.
+ * @param {Object} options - Call options
+ * @param {BrevitConfig} config - Effective config
+ * @returns {Object} The options, or a copy with `redactions`
+ */
+function shareRedactions(options, config) {
+  return config.redact && !options.redactions ? { ...options, redactions: new Redactions() } : options;
+}
+
+/**
+ * Checks a 13-19 digit number with the Luhn checksum card numbers use.
+ * @param {string} text - Digits, optionally grouped by spaces or dashes
+ * @returns {boolean} True for a plausible card number
+ */
+function isCardNumber(text) {
+  const digits = text.replace(/\D/g, '');
+  if (/^(\d)\1*$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Checks an IBAN's length and ISO 7064 mod-97 check digits.
+ * @param {string} text - The IBAN, optionally grouped by spaces
+ * @returns {boolean} True for a valid IBAN
+ */
+function isValidIban(text) {
+  const iban = text.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+  let remainder = 0;
+  for (const char of iban.substring(4) + iban.substring(0, 4)) {
+    const value = parseInt(char, 36);
+    remainder = (value > 9 ? remainder * 100 + value : remainder * 10 + value) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Checks the digit count of a phone-shaped match: international numbers
+ * (leading +) need 8-15 digits, others 10-13.
+ * @param {string} text - The candidate
+ * @returns {boolean} True if it looks like a phone number
+ */
+function isPhoneNumber(text) {
+  const digits = text.replace(/\D/g, '').length;
+  if (text.startsWith('+')) return digits >= 8 && digits <= 15;
+  return digits >= 10 && digits <= 13;
+}
+
+// Elements whose content is never useful text
+const HTML_DROP_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'head', 'iframe', 'nav', 'footer', 'aside'];
+
+// Element names htmlToText() strips; other "<...>" (Map<string>, x<y>z) is text
+const HTML_TAG_NAMES = new Set((
+  'a abbr address article aside audio b bdi bdo big blockquote body br button caption center cite code col ' +
+  'colgroup dd del details dfn div dl dt em fieldset figcaption figure font footer form h1 h2 h3 h4 h5 h6 head ' +
+  'header hr html i iframe img input ins kbd label legend li link main mark meta nav noscript ol optgroup option ' +
+  'p picture pre q s samp script section select small source span strike strong style sub summary sup svg table ' +
+  'tbody td template textarea tfoot th thead time title tr tt u ul var video wbr'
+).split(' '));
+
+// Tags that end a line of text
+const HTML_BLOCK_TAGS = /<\/?(?:p|div|section|article|main|header|h[1-6]|ul|ol|table|thead|tbody|blockquote|pre|hr|form|fieldset|figure|figcaption|dl|dt|dd|address)\b[^>]*>/gi;
+
+// Named entities decoded besides numeric ones
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  hellip: '...', mdash: '-', ndash: '-', lsquo: "'", rsquo: "'", ldquo: '"', rdquo: '"', bull: '•', middot: '·',
+};
+
+// Single lines that are boilerplate on almost every page or email
+const BOILERPLATE_LINES = [
+  /^(?:©|\(c\)|copyright\b).{0,120}$/i,
+  /^.{0,80}\ball rights reserved\.?$/i,
+  /^.{0,80}\bunsubscribe\b.{0,80}$/i,
+  /^(?:privacy(?: policy)?|terms(?: of (?:service|use))?|cookie (?:policy|settings)|contact(?: us)?|about(?: us)?|sitemap)(?:\s*[|·•\-/]\s*(?:privacy(?: policy)?|terms(?: of (?:service|use))?|cookie (?:policy|settings)|contact(?: us)?|about(?: us)?|sitemap))+$/i,
+  /^(?:sent from my \w+.*|get outlook for \w+.*)$/i,
+  /^page \d+(?: of \d+)?$/i,
+  /^(?:skip to (?:main )?content|back to top|share (?:this|on \w+).{0,40})$/i,
+];
+
+// A closing that starts an email signature
+const SIGNATURE_START = /^(?:--|(?:best|kind|warm|many thanks and)?\s*regards,?|(?:many )?thanks,?|thank you,?|cheers,?|sincerely,?|best,?)$/i;
+
+/**
+ * Cleans text locally, without an LLM. Used by TextOptimizationMode.Clean.
+ * Normalizes unicode (NFKC, curly quotes, dashes, invisible characters),
+ * turns HTML into text (dropping scripts, styles, navigation and footers;
+ * only text with a doctype or matching open and close tags counts as HTML),
+ * strips markdown syntax, removes boilerplate lines (copyright, unsubscribe,
+ * page numbers, signatures), drops repeated lines and collapses whitespace.
+ * Works in Node and the browser.
+ *
+ * @param {string} text - The text, HTML or markdown to clean
+ * @param {object} [options]
+ * @param {boolean} [options.markdown=true] - Strip markdown syntax
+ * @param {boolean} [options.boilerplate=true] - Remove boilerplate lines and signatures
+ * @param {boolean} [options.dedupe=true] - Remove repeated lines (after the first occurrence)
+ * @returns {string} The cleaned text
+ * @example
+ * cleanText('<p>Hello&nbsp;<b>world</b></p><footer>© 2024 ACME</footer>');
+ * // => 'Hello world'
+ */
+export function cleanText(text, { markdown = true, boilerplate = true, dedupe = true } = {}) {
+  let result = normalizeUnicode(String(text));
+
+  if (looksLikeHtml(result)) {
+    result = htmlToText(result);
+  }
+  if (markdown) {
+    result = markdownToText(result);
+  }
+
+  let lines = result.split('\n').map(line => line.replace(/[ \t\f\v]+/g, ' ').trim());
+
+  if (boilerplate) {
+    lines = lines.filter(line => !BOILERPLATE_LINES.some(pattern => pattern.test(line)));
+    lines = removeSignature(lines);
+  }
+  if (dedupe) {
+    const seen = new Set();
+    lines = lines.filter(line => {
+      // Short lines ("Yes", "}", list markers) legitimately repeat
+      if (line.length < 12) return true;
+      const key = line.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // At most one blank line between paragraphs
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Normalizes unicode to compact ASCII-friendly text.
+ * @param {string} text - The text
+ * @returns {string} Normalized text
+ */
+function normalizeUnicode(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, '')
+    .replace(/[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, ' ')
+    .replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    .replace(/[\u2028\u2029]/g, '\n');
+}
+
+/**
+ * Tells HTML documents and fragments from text that merely contains angle
+ * brackets: it needs a doctype or <html> tag, or an HTML element that is
+ * both opened and closed.
+ * @param {string} text - The text
+ * @returns {boolean} True for HTML
+ */
+function looksLikeHtml(text) {
+  if (/<!doctype\s+html\b|<html\b/i.test(text)) return true;
+  const names = pattern => new Set(Array.from(text.matchAll(pattern), match => match[1].toLowerCase())
+    .filter(name => HTML_TAG_NAMES.has(name)));
+  const closed = names(/<\/([a-z][a-z0-9]*)\s*>/gi);
+  if (closed.size === 0) return false;
+  return [...names(/<([a-z][a-z0-9]*)\b[^<>]*>/gi)].some(name => closed.has(name));
+}
+
+/**
+ * Converts HTML to plain text: drops non-content elements and comments,
+ * keeps line structure for block elements and list items, strips the
+ * other known tags, and decodes entities.
+ * @param {string} html - The HTML
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  let text = html.replace(/<!--[\s\S]*?-->/g, '');
+  HTML_DROP_ELEMENTS.forEach(tag => {
+    text = text.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), '\n');
+  });
+
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(?:td|th)\s*>/gi, ' | ')
+    .replace(/<tr\b[^>]*>/gi, '')
+    .replace(/<\/tr\s*>/gi, '\n')
+    .replace(HTML_BLOCK_TAGS, '\n')
+    .replace(/<img\b[^>]*\balt\s*=\s*(["'])(.*?)\1[^>]*>/gi, ' $2 ')
+    .replace(/<\/?([a-z][a-z0-9]*)\b[^<>]*>/gi, (tag, name) => (HTML_TAG_NAMES.has(name.toLowerCase()) ? '' : tag))
+    .replace(/ \| *(?=\n|$)/g, '');
+
+  return decodeHtmlEntities(text);
+}
+
+/**
+ * Decodes named and numeric HTML entities.
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : Number(name.substring(1));
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    const decoded = HTML_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+/**
+ * Strips markdown syntax (headings, emphasis, links, images, code fences,
+ * blockquotes, rules and table borders), keeping the text. Bold is only
+ * "**": "__" belongs to identifiers like __init__ far more often.
+ * @param {string} text - Markdown
+ * @returns {string} Plain text
+ */
+function markdownToText(text) {
+  return text
+    .split('\n')
+    .filter(line => !/^\s*(?:```|~~~)/.test(line))
+    .filter(line => !/^\s*\[[^\]]+\]:\s+\S+/.test(line))
+    .filter(line => !/^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line))
+    .map(line => {
+      if (/^\s*(?:[-*_]\s*){3,}$/.test(line)) return '';
+      return line
+        .replace(/^\s{0,3}#{1,6}\s+/, '')
+        .replace(/^\s{0,3}>\s?/, '')
+        .replace(/^(\s*)[*+]\s+/, '$1- ')
+        // Code spans keep their content as written
+        .split(/(`[^`]+`)/)
+        .map((part, index) => (index % 2 === 1 ? part.slice(1, -1) : part
+          .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+          .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+          // "__" is left alone: it is part of identifiers such as __init__
+          .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '$1')
+          .replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)(?<=\S)\*(?!\w)/g, '$1$2')
+          .replace(/(^|[^\w])_(?=\S)([^_\n]+?)(?<=\S)_(?!\w)/g, '$1$2')
+          .replace(/~~(.+?)~~/g, '$1')))
+        .join('')
+        .replace(/^\s*\|(.*)\|\s*$/, (match, cells) => cells.split('|').map(cell => cell.trim()).join(' | '));
+    })
+    .join('\n');
+}
+
+/**
+ * Removes an email signature: everything from a closing ("Best regards,",
+ * "Thanks,", "--") near the end of the text.
+ * @param {string[]} lines - Trimmed lines
+ * @returns {string[]} Lines without the signature
+ */
+function removeSignature(lines) {
+  let last = lines.length - 1;
+  while (last >= 0 && lines[last] === '') last--;
+
+  // A signature is a closing followed by at most a few short lines
+  for (let i = Math.max(0, last - 6); i <= last; i++) {
+    if (SIGNATURE_START.test(lines[i]) && i > 0 && lines.slice(i + 1, last + 1).every(line => line.length <= 60)) {
+      return lines.slice(0, i);
+    }
+  }
+  return lines;
+}
+
+// Common English words that carry no topic
+const STOP_WORDS = new Set((
+  'a about above after again against all also am an and any are as at be because been before being below ' +
+  'between both but by can could did do does doing down during each few for from further had has have having ' +
+  'he her here hers him his how i if in into is it its just me more most my no nor not now of off on once ' +
+  'only or other our ours out over own same she should so some such than that the their theirs them then ' +
+  'there these they this those through to too under until up very was we were what when where which while ' +
+  'who whom why will with would you your yours'
+).split(' '));
+
+// Abbreviations that end with a period but not a sentence
+const SENTENCE_ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'inc', 'ltd', 'co', 'corp',
+  'e.g', 'i.e', 'fig', 'no', 'approx', 'dept', 'est', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul',
+  'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'u.s', 'u.k',
+]);
+
+/**
+ * Summarizes text locally by extracting its most representative sentences
+ * (the built-in TextOptimizationMode.SummarizeFast). Sentences are scored by
+ * TF-IDF similarity to the whole text, boosted when they contain terms from
+ * `intent`, and picked until the target ratio or token budget is reached.
+ * The picked sentences keep their original order. Deterministic and
+ * offline; the text is cleaned with cleanText() first.
+ *
+ * @param {string} text - The text to summarize
+ * @param {object} [options]
+ * @param {string} [options.intent] - Hint about the user's goal; sentences sharing its terms rank higher
+ * @param {number} [options.ratio=0.3] - Target summary length as a share of the text's characters
+ * @param {number} [options.maxTokens] - Token budget for the summary (takes precedence over ratio when smaller);
+ *   a best sentence over budget is cut at a word boundary rather than replaced by a lower-ranked one
+ * @param {Object} [options.tokenizer] - Tokenizer with a `count(text)` method, for maxTokens
+ * @returns {string} The summary
+ * @example
+ * summarizeText(report, { intent: 'revenue and costs', ratio: 0.2 });
+ */
+export function summarizeText(text, { intent = null, ratio = 0.3, maxTokens = null, tokenizer = defaultTokenizer } = {}) {
+  const cleaned = cleanText(text);
+  const sentences = splitSentences(cleaned);
+  if (sentences.length <= 2 && (maxTokens == null || tokenizer.count(cleaned) <= maxTokens)) return cleaned;
+
+  // TF-IDF vector per sentence and the centroid of the whole text
+  const termLists = sentences.map(sentence => summaryTerms(sentence.text));
+  const documentFrequency = new Map();
+  termLists.forEach(terms => new Set(terms).forEach(term => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+  const idf = term => Math.log(sentences.length / documentFrequency.get(term)) + 1;
+  const vectors = termLists.map(terms => {
+    const vector = new Map();
+    terms.forEach(term => vector.set(term, (vector.get(term) || 0) + idf(term)));
+    return vector;
+  });
+  const centroid = new Map();
+  vectors.forEach(vector => vector.forEach((weight, term) => centroid.set(term, (centroid.get(term) || 0) + weight)));
+
+  const intentTerms = new Set(intent ? summaryTerms(String(intent)) : []);
+  const similarities = vectors.map(vector => cosineSimilarity(vector, centroid));
+  const maxSimilarity = Math.max(...similarities) || 1;
+
+  const scored = sentences.map((sentence, index) => {
+    let score = similarities[index] / maxSimilarity;
+    if (intentTerms.size > 0) {
+      const matched = [...intentTerms].filter(term => vectors[index].has(term)).length;
+      score += matched / intentTerms.size;
+    }
+    // Lead sentences of the text and of paragraphs tend to carry the topic
+    if (index === 0) score += 0.1;
+    else if (sentence.paragraphStart) score += 0.05;
+    return { index, score };
+  });
+
+  // Pick the best sentences until the target is reached
+  const targetChars = Math.max(1, Math.round(cleaned.length * ratio));
+  const picked = [];
+  let chars = 0;
+  let tokens = 0;
+  scored.sort((a, b) => b.score - a.score || a.index - b.index);
+  for (const { index, score } of scored) {
+    // A lower-ranked sentence that merely fits would drift from the intent:
+    // when no top-scored sentence fits, the best one is cut instead
+    if (picked.length === 0 && score < scored[0].score) break;
+    const sentenceText = sentences[index].text;
+    const sentenceTokens = maxTokens != null ? tokenizer.count(sentenceText) + 1 : 0;
+    const fitsTokens = maxTokens == null || tokens + sentenceTokens <= maxTokens;
+    // The ratio may leave no room at all, so the best sentence is always
+    // kept unless it breaks the token budget
+    if (fitsTokens && (chars + sentenceText.length <= targetChars || picked.length === 0)) {
+      picked.push(index);
+      chars += sentenceText.length + 1;
+      tokens += sentenceTokens;
+    }
+  }
+
+  // Not even the best sentence fits maxTokens: keep as many of its words as do
+  if (picked.length === 0) {
+    const words = sentences[scored[0].index].text.split(' ');
+    let low = 0;
+    let high = words.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (tokenizer.count(words.slice(0, mid).join(' ')) <= maxTokens) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return words.slice(0, low).join(' ');
+  }
+
+  // Original order; sentences from different paragraphs go on separate lines
+  picked.sort((a, b) => a - b);
+  return picked
+    .map((index, i) => (i > 0 && sentences[index].paragraph !== sentences[picked[i - 1]].paragraph ? '\n' : ' ') + sentences[index].text)
+    .join('')
+    .trim();
+}
+
+/**
+ * Splits text into sentences. Paragraphs, headings and list items (lines
+ * without closing punctuation) always end a sentence; periods after common
+ * abbreviations, initials and decimals do not.
+ * @param {string} text - Cleaned text
+ * @returns {Array<{text: string, paragraph: number, paragraphStart: boolean}>} Sentences
+ */
+function splitSentences(text) {
+  const sentences = [];
+  let paragraph = 0;
+
+  text.split(/\n\s*\n/).forEach(block => {
+    // Join wrapped lines, but keep list items and headings as their own units
+    const units = [];
+    block.split('\n').forEach(line => {
+      const last = units.length - 1;
+      if (last >= 0 && !/^(?:[-*•]|\d+[.)])\s/.test(line) && /[\p{L},;]$/u.test(units[last]) && /^\p{Ll}/u.test(line)) {
+        units[last] += ` ${line}`;
+      } else if (line.trim() !== '') {
+        units.push(line.trim());
+      }
+    });
+
+    let first = true;
+    units.forEach(unit => {
+      let start = 0;
+      const terminator = /[.!?。！？]+["'”’)\]]*(?=\s+|$)/g;
+      let match;
+      while ((match = terminator.exec(unit)) !== null) {
+        const end = match.index + match[0].length;
+        const before = unit.substring(start, match.index);
+        const word = (/([\p{L}.]+)$/u.exec(before) || ['', ''])[1].toLowerCase();
+        const next = unit.substring(end).trimStart();
+        if (match[0] === '.' && (SENTENCE_ABBREVIATIONS.has(word) || /^\p{L}$/u.test(word) || /^\p{Ll}/u.test(next))) {
+          continue;
+        }
+        sentences.push({ text: unit.substring(start, end).trim(), paragraph, paragraphStart: first });
+        first = false;
+        start = end;
+      }
+      const rest = unit.substring(start).trim();
+      if (rest) {
+        sentences.push({ text: rest, paragraph, paragraphStart: first });
+        first = false;
+      }
+    });
+    paragraph++;
+  });
+
+  return sentences;
+}
+
+/**
+ * Extracts lowercase, lightly stemmed content words.
+ * @param {string} text - The text
+ * @returns {string[]} Terms
+ */
+function summaryTerms(text) {
+  const terms = [];
+  for (const [word] of text.toLowerCase().matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (word.length < 2 || STOP_WORDS.has(word)) continue;
+    terms.push(stemWord(word));
+  }
+  return terms;
+}
+
+/**
+ * Strips common English suffixes so "costs" matches "cost".
+ * @param {string} word - Lowercase word
+ * @returns {string} The stem
+ */
+function stemWord(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Cosine similarity of two sparse vectors.
+ * @param {Map<string, number>} a - First vector
+ * @param {Map<string, number>} b - Second vector
+ * @returns {number} Similarity between 0 and 1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((weight, term) => {
+    dot += weight * (b.get(term) || 0);
+    normA += weight * weight;
+  });
+  b.forEach(weight => {
+    normB += weight * weight;
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// EXIF orientation values, named by the transform needed to display the image upright
+const EXIF_ORIENTATIONS = {
+  1: 'normal',
+  2: 'flip-horizontal',
+  3: 'rotate-180',
+  4: 'flip-vertical',
+  5: 'transpose',
+  6: 'rotate-90',
+  7: 'transverse',
+  8: 'rotate-270',
+};
+
+// PNG color types
+const PNG_COLOR_TYPES = { 0: 'gray', 2: 'rgb', 3: 'indexed', 4: 'gray-alpha', 6: 'rgba' };
+
+// Color model by JPEG component count
+const JPEG_COLOR_TYPES = { 1: 'gray', 3: 'rgb', 4: 'cmyk' };
+
+// Byte size of each TIFF field type (index = type id)
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+/**
+ * Reads image descriptors from the file header without decoding pixels
+ * (the built-in ImageOptimizationMode.Metadata). Detects PNG, JPEG, GIF,
+ * WebP, BMP and TIFF from their magic bytes and reads dimensions, bit depth,
+ * color model, frame count, EXIF orientation, camera, capture time and GPS
+ * position. Fields that are not present are left out.
+ *
+ * @param {ArrayBuffer|Uint8Array} imageData - The image file contents
+ * @param {object} [options]
+ * @param {boolean} [options.gps=true] - Include the EXIF GPS position
+ * @returns {Object} Metadata, e.g. `{format: 'png', width: 640, height: 480, bitDepth: 8, color: 'rgba', bytes: 1234}`
+ * @example
+ * readImageMetadata(await readFile('photo.jpg'), { gps: false });
+ * // => {format: 'jpeg', width: 4032, height: 3024, bitDepth: 8, color: 'rgb',
+ * //     orientation: 'rotate-90', camera: {make: 'Apple', model: 'iPhone 12'},
+ * //     takenAt: '2024-05-01T14:03:22', bytes: 2481152}
+ */
+export function readImageMetadata(imageData, { gps = true } = {}) {
+  const bytes = imageData instanceof ArrayBuffer ? new Uint8Array(imageData) : imageData;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const format = detectImageFormat(bytes);
+  const info = { format: format || 'unknown' };
+  let exif = null;
+
+  // Truncated or damaged files keep whatever was read before the error
+  try {
+    if (format === 'png') exif = readPngHeader(view, info);
+    else if (format === 'jpeg') exif = readJpegHeader(view, info);
+    else if (format === 'gif') readGifHeader(view, info);
+    else if (format === 'webp') exif = readWebpHeader(view, info);
+    else if (format === 'bmp') readBmpHeader(view, info);
+    else if (format === 'tiff') exif = { offset: 0, length: view.byteLength, tiff: true };
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+  }
+
+  if (exif) {
+    try {
+      const tiffView = new DataView(view.buffer, view.byteOffset + exif.offset, exif.length);
+      addExifTags(readTiffTags(tiffView), info, { gps, tiff: exif.tiff === true });
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+    }
+  }
+
+  info.bytes = bytes.byteLength;
+  return info;
+}
+
+/**
+ * Detects an image format from its magic bytes.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} 'png', 'jpeg', 'gif', 'webp', 'bmp', 'tiff' or null
+ */
+function detectImageFormat(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+  if (bytes.length >= 8 && bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'png';
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+  if (bytes.length >= 6 && (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a')) return 'gif';
+  if (bytes.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (bytes.length >= 2 && ascii(0, 2) === 'BM') return 'bmp';
+  if (bytes.length >= 4 && (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*')) return 'tiff';
+  return null;
+}
+
+/**
+ * Reads a four-character chunk or segment id.
+ * @param {DataView} view - File view
+ * @param {number} offset - Offset of the id
+ * @returns {string} The id
+ */
+function readFourCC(view, offset) {
+  return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+/**
+ * Reads the IHDR chunk and looks for animation and EXIF chunks.
+ * @param {DataView} view - File view
+ * @param {Object} info - Metadata to fill in
+ * @returns {Object|null} Location of the EXIF block
+ */
+function readPngHeader(view, info) {
+  info.width = view.getUint32(16);
+  info.height = view.getUint32(20);
+  info.bitDepth = view.getUint8(24);
+  info.color = PNG_COLOR_TYPES[view.getUint8(25)] || 'unknown';
+
+  let exif = null;
+  for (let offset = 8; offset + 8 <= view.byteLength;) {
+    const length = view.getUint32(offset);
+    const type = readFourCC(view, offset + 4);
+    if (type === 'acTL') info.frames = view.getUint32(offset + 8);
+    if (type === 'eXIf') exif = { offset: offset + 8, length };
+    if (type === 'IDAT' || type === 'IEND') break;
+    offset += length + 12;
+  }
+  return exif;
+}
+
+/**
+ * Walks the JPEG segments up to the image data, reading the frame header
+ * and the APP1 EXIF block.
+ * @param {DataView} view - File view
+ * @param {Object} info - Metadata to fill in
+ * @returns {Object|null} Location of the EXIF block
+ */
+function readJpegHeader(view, info) {
+  let exif = null;
+  for (let offset = 2; offset + 4 <= view.byteLength;) {
+    if (view.getUint8(offset) !== 0xFF) break;
+    const marker = view.getUint8(offset + 1);
+    // Fill bytes and markers without a length
+    if (marker === 0xFF) { offset++; continue; }
+    if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { offset += 2; continue; }
+    if (marker === 0xDA || marker === 0xD9) break;
+
+    const length = view.getUint16(offset + 2);
+    const isFrameHeader = marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+    if (isFrameHeader && info.width === undefined) {
+      info.width = view.getUint16(offset + 7);
+      info.height = view.getUint16(offset + 5);
+      info.bitDepth = view.getUint8(offset + 4);
+      info.color = JPEG_COLOR_TYPES[view.getUint8(offset + 9)] || 'unknown';
+    } else if (marker === 0xE1 && !exif && readFourCC(view, offset + 4) === 'Exif') {
+      exif = { offset: offset + 10, length: length - 8 };
+    }
+    offset += length + 2;
+  }
+  return exif;
+}
+
+/**
+ * Reads the GIF screen descriptor and counts the frames.
+ * @param {DataView} view - File view
+ * @param {Object} info - Metadata to fill in
+ */
+function readGifHeader(view, info) {
+  info.width = view.getUint16(6, true);
+  info.height = view.getUint16(8, true);
+  const packed = view.getUint8(10);
+  info.bitDepth = (packed & 0x07) + 1;
+  info.color = 'indexed';
+
+  const skipColorTable = (flags, offset) => (flags & 0x80 ? offset + 3 * (1 << ((flags & 0x07) + 1)) : offset);
+  const skipSubBlocks = offset => {
+    let size = view.getUint8(offset);
+    while (size !== 0) {
+      offset += size + 1;
+      size = view.getUint8(offset);
+    }
+    return offset + 1;
+  };
+
+  let frames = 0;
+  let offset = skipColorTable(packed, 13);
+  while (offset < view.byteLength) {
+    const block = view.getUint8(offset);
+    if (block === 0x2C) {
+      frames++;
+      offset = skipColorTable(view.getUint8(offset + 9), offset + 10);
+      offset = skipSubBlocks(offset + 1);
+    } else if (block === 0x21) {
+      offset = skipSubBlocks(offset + 2);
+    } else {
+      break;
+    }
+  }
+  if (frames > 1) info.frames = frames;
+}
+
+/**
+ * Reads the VP8, VP8L or VP8X header and the EXIF and animation chunks.
+ * @param {DataView} view - File view
+ * @param {Object} info - Metadata to fill in
+ * @returns {Object|null} Location of the EXIF block
+ */
+function readWebpHeader(view, info) {
+  let exif = null;
+  let frames = 0;
+  for (let offset = 12; offset + 8 <= view.byteLength;) {
+    const type = readFourCC(view, offset);
+    const length = view.getUint32(offset + 4, true);
+    const data = offset + 8;
+    if (type === 'VP8X') {
+      const flags = view.getUint8(data);
+      info.width = 1 + (view.getUint32(data + 4, true) & 0xFFFFFF);
+      info.height = 1 + (view.getUint32(data + 6, true) >>> 8);
+      info.bitDepth = 8;
+      info.color = flags & 0x10 ? 'rgba' : 'rgb';
+    } else if (type === 'VP8 ' && info.width === undefined) {
+      info.width = view.getUint16(data + 6, true) & 0x3FFF;
+      info.height = view.getUint16(data + 8, true) & 0x3FFF;
+      info.bitDepth = 8;
+      info.color = 'rgb';
+    } else if (type === 'VP8L' && info.width === undefined) {
+      const bits = view.getUint32(data + 1, true);
+      info.width = (bits & 0x3FFF) + 1;
+      info.height = ((bits >>> 14) & 0x3FFF) + 1;
+      info.bitDepth = 8;
+      info.color = (bits >>> 28) & 1 ? 'rgba' : 'rgb';
+    } else if (type === 'ANMF') {
+      frames++;
+    } else if (type === 'EXIF') {
+      // Some writers keep the JPEG "Exif\0\0" prefix
+      exif = readFourCC(view, data) === 'Exif' ? { offset: data + 6, length: length - 6 } : { offset: data, length };
+    }
+    offset = data + length + (length & 1);
+  }
+  if (frames > 0) info.frames = frames;
+  return exif;
+}
+
+/**
+ * Reads the BMP info header.
+ * @param {DataView} view - File view
+ * @param {Object} info - Metadata to fill in
+ */
+function readBmpHeader(view, info) {
+  if (view.getUint32(14, true) === 12) {
+    // OS/2 core header
+    info.width = view.getUint16(18, true);
+    info.height = view.getUint16(20, true);
+    info.bitDepth = view.getUint16(24, true);
+  } else {
+    info.width = Math.abs(view.getInt32(18, true));
+    info.height = Math.abs(view.getInt32(22, true));
+    info.bitDepth = view.getUint16(28, true);
+  }
+  info.color = info.bitDepth <= 8 ? 'indexed' : info.bitDepth === 32 ? 'rgba' : 'rgb';
+}
+
+/**
+ * Reads the tags of the first IFD of a TIFF structure (a TIFF file or an
+ * EXIF block), including the EXIF and GPS sub-IFDs.
+ * @param {DataView} view - View starting at the TIFF header
+ * @returns {Map<number, any>} Tag values by tag id (GPS tags are offset by 0x10000)
+ */
+function readTiffTags(view) {
+  const little = view.getUint16(0) === 0x4949;
+  const tags = new Map();
+
+  const readValue = (type, count, offset) => {
+    if (type === 2) {
+      let text = '';
+      for (let i = 0; i < count; i++) {
+        const code = view.getUint8(offset + i);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+      }
+      return text.trim();
+    }
+    const values = [];
+    for (let i = 0; i < Math.min(count, 16); i++) {
+      const at = offset + i * TIFF_TYPE_SIZES[type];
+      if (type === 1 || type === 7) values.push(view.getUint8(at));
+      else if (type === 3) values.push(view.getUint16(at, little));
+      else if (type === 4) values.push(view.getUint32(at, little));
+      else if (type === 9) values.push(view.getInt32(at, little));
+      else if (type === 5) values.push(view.getUint32(at, little) / (view.getUint32(at + 4, little) || 1));
+      else if (type === 10) values.push(view.getInt32(at, little) / (view.getInt32(at + 4, little) || 1));
+    }
+    return count === 1 ? values[0] : values;
+  };
+
+  const readIfd = (offset, tagBase) => {
+    const entries = view.getUint16(offset, little);
+    for (let i = 0; i < entries; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const count = view.getUint32(entry + 4, little);
+      const size = (TIFF_TYPE_SIZES[type] || 0) * count;
+      if (size === 0) continue;
+      const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+      tags.set(tagBase + tag, readValue(type, count, valueOffset));
+    }
+  };
+
+  readIfd(view.getUint32(4, little), 0);
+  if (tags.has(0x8769)) readIfd(tags.get(0x8769), 0);
+  if (tags.has(0x8825)) readIfd(tags.get(0x8825), 0x10000);
+  return tags;
+}
+
+/**
+ * Copies the EXIF tags Brevit reports into the metadata.
+ * @param {Map<number, any>} tags - Tags from readTiffTags()
+ * @param {Object} info - Metadata to fill in
+ * @param {object} options
+ * @param {boolean} options.gps - Include the GPS position
+ * @param {boolean} options.tiff - The tags belong to a TIFF file (read dimensions too)
+ */
+function addExifTags(tags, info, { gps, tiff }) {
+  if (tiff) {
+    info.width = tags.get(0x0100);
+    info.height = tags.get(0x0101);
+    const bitsPerSample = tags.get(0x0102);
+    info.bitDepth = Array.isArray(bitsPerSample) ? bitsPerSample[0] : bitsPerSample || 1;
+    const samples = tags.get(0x0115) || 1;
+    info.color = samples === 1 ? 'gray' : samples === 4 ? 'rgba' : 'rgb';
+  }
+
+  const orientation = tags.get(0x0112);
+  if (EXIF_ORIENTATIONS[orientation]) info.orientation = EXIF_ORIENTATIONS[orientation];
+
+  const make = tags.get(0x010F);
+  const model = tags.get(0x0110);
+  if (make || model) {
+    info.camera = {};
+    if (make) info.camera.make = make;
+    if (model) info.camera.model = model;
+  }
+
+  // EXIF dates are "YYYY:MM:DD HH:MM:SS" in local camera time
+  const taken = tags.get(0x9003) || tags.get(0x0132);
+  const date = typeof taken === 'string' && /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(taken);
+  if (date) info.takenAt = `${date[1]}-${date[2]}-${date[3]}T${date[4]}`;
+
+  const latitude = tags.get(0x10002);
+  const longitude = tags.get(0x10004);
+  if (gps && Array.isArray(latitude) && Array.isArray(longitude)) {
+    const degrees = ([d, m = 0, s = 0], negative) => Math.round((d + m / 60 + s / 3600) * (negative ? -1e6 : 1e6)) / 1e6;
+    info.gps = {
+      lat: degrees(latitude, tags.get(0x10001) === 'S'),
+      lon: degrees(longitude, tags.get(0x10003) === 'W'),
+    };
+    const altitude = tags.get(0x10006);
+    if (typeof altitude === 'number') {
+      info.gps.alt = Math.round(altitude * (tags.get(0x10005) === 1 ? -10 : 10)) / 10;
+    }
+  }
+}
+
+// Pre-tokenization pattern of cl100k-style BPE vocabularies (GPT-4, GPT-3.5)
+const TOKEN_PATTERN = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+/**
+ * Offline token estimator. Splits text the way cl100k-style BPE tokenizers
+ * pre-tokenize it and estimates the token cost of each piece. Typically
+ * within ~10% of the real count for JSON, YAML, Brevit output and prose.
+ */
+export class ApproximateTokenizer {
+  /**
+   * Estimates the number of tokens in a text.
+   * @param {string} text - The text to measure
+   * @returns {number} Estimated token count
+   */
+  count(text) {
+    let tokens = 0;
+    for (const [piece] of String(text).matchAll(TOKEN_PATTERN)) {
+      if (/\p{L}/u.test(piece)) {
+        const letters = piece.replace(/\P{L}/gu, '');
+        if (/^[a-z]+$/i.test(letters)) {
+          // Common English words are one token; long identifiers split every ~8 letters
+          tokens += Math.ceil(letters.length / 8);
+        } else if (/[぀-ヿ㐀-鿿가-힯]/.test(letters)) {
+          // CJK: roughly one token per character
+          tokens += letters.length;
+        } else {
+          tokens += Math.ceil(letters.length / 3);
+        }
+      } else if (/^\s+$/.test(piece) || /\p{N}/u.test(piece)) {
+        tokens += 1;
+      } else {
+        tokens += Math.ceil(piece.trim().length / 3) || 1;
+      }
+    }
+    return tokens;
+  }
+}
+
+/**
+ * Byte-level BPE tokenizer driven by a rank vocabulary, for exact counts.
+ * Load a `.tiktoken` vocabulary file (e.g. cl100k_base.tiktoken) yourself
+ * - from disk in Node or with fetch() in the browser - and pass its text
+ * to BpeTokenizer.fromTiktoken().
+ */
+export class BpeTokenizer {
+  /**
+   * @param {Map<string, number>} ranks - Token bytes (as a latin1 string) to merge rank
+   * @param {object} options
+   * @param {RegExp|string} options.pattern - Pre-tokenization pattern (defaults to the cl100k pattern).
+   */
+  constructor(ranks, { pattern = TOKEN_PATTERN } = {}) {
+    this._ranks = ranks;
+    this._pattern = typeof pattern === 'string' ? new RegExp(pattern, 'gu') : pattern;
+    this._encoder = new TextEncoder();
+    this._cache = new Map();
+  }
+
+  /**
+   * Creates a tokenizer from the contents of a `.tiktoken` file
+   * (one "base64Token rank" pair per line).
+   * @param {string} fileText - The vocabulary file contents
+   * @param {object} [options] - Constructor options (e.g. pattern)
+   * @returns {BpeTokenizer} The tokenizer
+   */
+  static fromTiktoken(fileText, options = {}) {
+    const ranks = new Map();
+    fileText.split('\n').forEach(line => {
+      const [token, rank] = line.trim().split(/\s+/);
+      if (token && rank !== undefined) {
+        ranks.set(atob(token), Number(rank));
+      }
+    });
+    return new BpeTokenizer(ranks, options);
+  }
+
+  /**
+   * Encodes a text into token ids.
+   * @param {string} text - The text to encode
+   * @returns {Array<number>} Token ids
+   */
+  encode(text) {
+    const tokens = [];
+    for (const [piece] of String(text).matchAll(this._pattern)) {
+      let pieceTokens = this._cache.get(piece);
+      if (!pieceTokens) {
+        pieceTokens = this._encodePiece(piece);
+        // Bounded memo of recently seen pieces
+        if (this._cache.size >= 10000) this._cache.clear();
+        this._cache.set(piece, pieceTokens);
+      }
+      tokens.push(...pieceTokens);
+    }
+    return tokens;
+  }
+
+  /**
+   * Counts the tokens in a text.
+   * @param {string} text - The text to measure
+   * @returns {number} Token count
+   */
+  count(text) {
+    return this.encode(text).length;
+  }
+
+  /**
+   * Applies BPE merges to one pre-tokenized piece.
+   * @param {string} piece - The piece
+   * @returns {Array<number>} Token ids
+   * @private
+   */
+  _encodePiece(piece) {
+    let bytes = '';
+    for (const byte of this._encoder.encode(piece)) bytes += String.fromCharCode(byte);
+    if (this._ranks.has(bytes)) return [this._ranks.get(bytes)];
+
+    // Start from single bytes and repeatedly merge the lowest-ranked adjacent pair
+    const parts = bytes.split('');
+    while (parts.length > 1) {
+      let bestIndex = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < parts.length - 1; i++) {
+        const rank = this._ranks.get(parts[i] + parts[i + 1]);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          bestIndex = i;
+        }
+      }
+      if (bestIndex === -1) break;
+      parts.splice(bestIndex, 2, parts[bestIndex] + parts[bestIndex + 1]);
+    }
+
+    // Bytes missing from the vocabulary count as one token each
+    return parts.map(part => (this._ranks.has(part) ? this._ranks.get(part) : -1));
+  }
+}
+
+const defaultTokenizer = new ApproximateTokenizer();
+
+/**
+ * Counts (or estimates) the number of tokens in a text.
+ *
+ * @param {string} text - The text to measure.
+ * @param {{count: Function}} [tokenizer] - Tokenizer to use; defaults to the offline ApproximateTokenizer.
+ * @returns {number} Token count.
+ * @example
+ * estimateTokens('user.name:John');
+ * estimateTokens(text, BpeTokenizer.fromTiktoken(vocabularyFileText));
+ */
+export function estimateTokens(text, tokenizer = defaultTokenizer) {
+  return tokenizer.count(String(text));
+}